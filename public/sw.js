@@ -0,0 +1,123 @@
+// ---------------------
+// Service worker: offline landing shell + launch reminder notifications.
+// Registered in production builds only (src/lib/pwa.js).
+//
+// - Pages: network first; offline, any route gets the cached landing shell and the client
+//   router renders it
+// - /assets/*: cache first (file names are content-hashed); entries the current shell no
+//   longer references are dropped whenever the shell is refreshed
+// - Tailwind CDN: stale-while-revalidate, so the shell is styled offline too
+// - /api/*: never cached
+// ---------------------
+const CACHE = "predictpix-v1";
+const SHELL = "/";
+const PRECACHE = ["/manifest.webmanifest", "/favicon.svg", "/icons/icon-192.png"];
+const ASSET_RE = /\/assets\/[^"'\s)]+/g;
+
+// Stores a fresh shell and the hashed assets it links to.
+async function cacheShell(cache, response) {
+  const html = await response.clone().text();
+  const assets = [...new Set(html.match(ASSET_RE) || [])];
+  await cache.put(SHELL, response);
+  await Promise.all(assets.map((a) => cache.match(a).then((hit) => hit || cache.add(a))));
+  for (const req of await cache.keys()) {
+    const { pathname } = new URL(req.url);
+    if (pathname.startsWith("/assets/") && !assets.includes(pathname)) await cache.delete(req);
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE);
+      await cache.addAll(PRECACHE);
+      await cacheShell(cache, await fetch(SHELL, { cache: "reload" }));
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      for (const key of await caches.keys()) if (key !== CACHE) await caches.delete(key);
+      await self.clients.claim();
+    })()
+  );
+});
+
+async function page(event) {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(event.request);
+    if (response.ok && new URL(event.request.url).pathname === SHELL) event.waitUntil(cacheShell(cache, response.clone()));
+    return response;
+  } catch (err) {
+    const shell = await cache.match(SHELL);
+    if (shell) return shell;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(event.request);
+  const refresh = fetch(event.request).then((response) => {
+    // The CDN script is loaded without CORS, so its response is opaque (status 0).
+    if (response.ok || response.type === "opaque") return cache.put(event.request, response.clone()).then(() => response);
+    return response;
+  });
+  if (hit) {
+    event.waitUntil(refresh.catch(() => {}));
+    return hit;
+  }
+  return refresh;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith("/api/")) return;
+    if (request.mode === "navigate") event.respondWith(page(event));
+    else if (url.pathname.startsWith("/assets/") || PRECACHE.includes(url.pathname)) event.respondWith(cacheFirst(request));
+  } else if (url.hostname === "cdn.tailwindcss.com") {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+// Payload from scripts/send-launch-push.js: `{ title, body, url }`.
+self.addEventListener("push", (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || "PredictPix", {
+      body: data.body,
+      icon: "/icons/icon-192.png",
+      tag: "launch",
+      data: { url: data.url || "/" },
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const target = new URL(event.notification.data?.url || "/", self.location.origin).href;
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+      const open = windows.find((w) => w.url === target);
+      return open ? open.focus() : self.clients.openWindow(target);
+    })()
+  );
+});
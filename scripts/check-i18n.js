@@ -0,0 +1,44 @@
+// Fails (exit 1) when a locale bundle is missing keys from en.json or has mismatched {placeholders}.
+// Keys that only exist in a translation are reported as warnings.
+// Usage: npm run i18n:check
+import { readFileSync, readdirSync } from "node:fs";
+import path from "node:path";
+
+const dir = path.resolve("src/i18n/locales");
+const load = (file) => JSON.parse(readFileSync(path.join(dir, file), "utf8"));
+
+function flatten(node, prefix = "", out = {}) {
+  if (node && typeof node === "object") {
+    for (const [k, v] of Object.entries(node)) flatten(v, prefix ? `${prefix}.${k}` : k, out);
+  } else {
+    out[prefix] = node;
+  }
+  return out;
+}
+
+const placeholders = (s) => (typeof s === "string" ? [...s.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort().join(",") : "");
+
+const base = flatten(load("en.json"));
+let failed = false;
+
+for (const file of readdirSync(dir).filter((f) => f.endsWith(".json") && f !== "en.json")) {
+  const bundle = flatten(load(file));
+  const problems = [];
+  const warnings = [];
+  for (const [key, value] of Object.entries(base)) {
+    if (!(key in bundle)) problems.push(`missing   ${key}`);
+    else if (placeholders(value) !== placeholders(bundle[key])) problems.push(`params    ${key} (expected {${placeholders(value)}})`);
+  }
+  for (const key of Object.keys(bundle)) {
+    if (!(key in base)) warnings.push(`extra     ${key}`);
+  }
+  if (warnings.length) console.warn(`! ${file}\n  ${warnings.join("\n  ")}`);
+  if (problems.length) {
+    failed = true;
+    console.error(`✗ ${file}\n  ${problems.join("\n  ")}`);
+  } else {
+    console.log(`✓ ${file}`);
+  }
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,100 @@
+// Conversion per A/B variant (src/config/experiments.json), from two sources:
+// - events (.data/events.ndjson): browser sessions that sent `experiment_view`, and how many of
+//   them also sent a successful `waitlist_submit`. Only visitors who accepted analytics are counted.
+// - signups (.data/db.json): every signup records its variants, whatever the consent choice, so
+//   these give absolute numbers and the email confirmation rate.
+//
+// Usage: npm run experiments:report [-- --json]   (DATA_DIR to read another data directory)
+import { createReadStream, existsSync, readFileSync } from "node:fs";
+import { createInterface } from "node:readline";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadConfig } from "../server/config.js";
+import { createStore } from "../server/store.js";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const experiments = JSON.parse(readFileSync(path.join(root, "src/config/experiments.json"), "utf8"));
+const config = loadConfig();
+
+// experiment -> variant -> { exposed: Set<sid>, converted: Set<sid>, signups, confirmed }
+const stats = new Map(
+  experiments.map((e) => [
+    e.id,
+    new Map(e.variants.map((v) => [v.id, { exposed: new Set(), converted: new Set(), signups: 0, confirmed: 0 }])),
+  ])
+);
+const row = (experiment, variant) => stats.get(experiment)?.get(variant);
+
+// Events: exposures first, then conversions, since a session's events may be logged in any order.
+const exposures = new Map(); // sid -> [[experiment, variant]]
+const convertedSids = new Set();
+if (existsSync(config.eventsFile)) {
+  const lines = createInterface({ input: createReadStream(config.eventsFile), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (!event.sid) continue;
+    if (event.name === "experiment_view") {
+      const r = row(event.props?.experiment, event.props?.variant);
+      if (!r) continue;
+      r.exposed.add(event.sid);
+      exposures.set(event.sid, [...(exposures.get(event.sid) || []), [event.props.experiment, event.props.variant]]);
+    } else if (event.name === "waitlist_submit" && event.props?.outcome === "success") {
+      convertedSids.add(event.sid);
+    }
+  }
+}
+for (const sid of convertedSids) {
+  for (const [experiment, variant] of exposures.get(sid) || []) row(experiment, variant).converted.add(sid);
+}
+
+const subscribers = await createStore(config.dbFile, { subscribers: [] }).read((db) => db.subscribers);
+for (const s of subscribers) {
+  for (const [experiment, variant] of Object.entries(s.experiments || {})) {
+    const r = row(experiment, variant);
+    if (!r) continue;
+    r.signups++;
+    if (s.confirmedAt) r.confirmed++;
+  }
+}
+
+const pct = (n, d) => (d ? `${((n / d) * 100).toFixed(1)}%` : "–");
+const report = experiments.map((e) => ({
+  experiment: e.id,
+  active: !!e.active,
+  variants: [...stats.get(e.id)].map(([variant, r]) => ({
+    variant,
+    sessions: r.exposed.size,
+    conversions: r.converted.size,
+    conversionRate: r.exposed.size ? r.converted.size / r.exposed.size : null,
+    signups: r.signups,
+    confirmed: r.confirmed,
+  })),
+}));
+
+if (process.argv.includes("--json")) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  for (const e of report) {
+    console.log(`\n${e.experiment}${e.active ? "" : " (inactive)"}`);
+    console.table(
+      Object.fromEntries(
+        e.variants.map((v) => [
+          v.variant,
+          {
+            sessions: v.sessions,
+            conversions: v.conversions,
+            rate: pct(v.conversions, v.sessions),
+            signups: v.signups,
+            confirmRate: pct(v.confirmed, v.signups),
+          },
+        ])
+      )
+    );
+  }
+}
@@ -0,0 +1,221 @@
+import { deflateSync } from "node:zlib";
+
+// ---------------------
+// Open Graph card, drawn pixel by pixel from the brand COLORS (no canvas/image deps).
+// Text uses a 5x7 pixel font, so only A-Z, digits, space and "-" are supported.
+// ---------------------
+
+const FONT = {
+  A: ["01110", "10001", "10001", "11111", "10001", "10001", "10001"],
+  B: ["11110", "10001", "10001", "11110", "10001", "10001", "11110"],
+  C: ["01110", "10001", "10000", "10000", "10000", "10001", "01110"],
+  D: ["11110", "10001", "10001", "10001", "10001", "10001", "11110"],
+  E: ["11111", "10000", "10000", "11110", "10000", "10000", "11111"],
+  F: ["11111", "10000", "10000", "11110", "10000", "10000", "10000"],
+  G: ["01110", "10001", "10000", "10111", "10001", "10001", "01111"],
+  H: ["10001", "10001", "10001", "11111", "10001", "10001", "10001"],
+  I: ["01110", "00100", "00100", "00100", "00100", "00100", "01110"],
+  J: ["00111", "00010", "00010", "00010", "00010", "10010", "01100"],
+  K: ["10001", "10010", "10100", "11000", "10100", "10010", "10001"],
+  L: ["10000", "10000", "10000", "10000", "10000", "10000", "11111"],
+  M: ["10001", "11011", "10101", "10101", "10001", "10001", "10001"],
+  N: ["10001", "10001", "11001", "10101", "10011", "10001", "10001"],
+  O: ["01110", "10001", "10001", "10001", "10001", "10001", "01110"],
+  P: ["11110", "10001", "10001", "11110", "10000", "10000", "10000"],
+  Q: ["01110", "10001", "10001", "10001", "10101", "10010", "01101"],
+  R: ["11110", "10001", "10001", "11110", "10100", "10010", "10001"],
+  S: ["01111", "10000", "10000", "01110", "00001", "00001", "11110"],
+  T: ["11111", "00100", "00100", "00100", "00100", "00100", "00100"],
+  U: ["10001", "10001", "10001", "10001", "10001", "10001", "01110"],
+  V: ["10001", "10001", "10001", "10001", "10001", "01010", "00100"],
+  W: ["10001", "10001", "10001", "10101", "10101", "10101", "01010"],
+  X: ["10001", "10001", "01010", "00100", "01010", "10001", "10001"],
+  Y: ["10001", "10001", "01010", "00100", "00100", "00100", "00100"],
+  Z: ["11111", "00001", "00010", "00100", "01000", "10000", "11111"],
+  0: ["01110", "10001", "10011", "10101", "11001", "10001", "01110"],
+  1: ["00100", "01100", "00100", "00100", "00100", "00100", "01110"],
+  2: ["01110", "10001", "00001", "00010", "00100", "01000", "11111"],
+  3: ["11110", "00001", "00001", "01110", "00001", "00001", "11110"],
+  4: ["00010", "00110", "01010", "10010", "11111", "00010", "00010"],
+  5: ["11111", "10000", "11110", "00001", "00001", "10001", "01110"],
+  6: ["00110", "01000", "10000", "11110", "10001", "10001", "01110"],
+  7: ["11111", "00001", "00010", "00100", "01000", "01000", "01000"],
+  8: ["01110", "10001", "10001", "01110", "10001", "10001", "01110"],
+  9: ["01110", "10001", "10001", "01111", "00001", "00010", "01100"],
+  "-": ["00000", "00000", "00000", "11111", "00000", "00000", "00000"],
+  " ": ["00000", "00000", "00000", "00000", "00000", "00000", "00000"],
+};
+
+const hex = (h) => [1, 3, 5].map((i) => parseInt(h.slice(i, i + 2), 16));
+const mix = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t);
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+function createCanvas(width, height, background) {
+  const px = new Float32Array(width * height * 3);
+  for (let i = 0; i < px.length; i += 3) px.set(background, i);
+
+  function blend(x, y, rgb, alpha) {
+    if (x < 0 || y < 0 || x >= width || y >= height || alpha <= 0) return;
+    const i = (y * width + x) * 3;
+    for (let c = 0; c < 3; c++) px[i + c] += (rgb[c] - px[i + c]) * alpha;
+  }
+
+  // Signed distance to a rounded rectangle; negative inside.
+  function roundedRectSdf(x, y, { left, top, w, h, r }) {
+    const qx = Math.abs(x - (left + w / 2)) - (w / 2 - r);
+    const qy = Math.abs(y - (top + h / 2)) - (h / 2 - r);
+    return Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0) - r;
+  }
+
+  return {
+    width,
+    height,
+    pixels: px,
+    glow(cx, cy, rx, ry, rgb, strength) {
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const d = Math.hypot((x - cx) / rx, (y - cy) / ry);
+          blend(x, y, rgb, strength * clamp01(1 - d) ** 2);
+        }
+      }
+    },
+    // `paint(x, y)` returns the colour at a pixel, so fills can be gradients.
+    roundedRect(rect, paint, { stroke = 0, alpha = 1 } = {}) {
+      for (let y = Math.floor(rect.top) - 2; y < rect.top + rect.h + 2; y++) {
+        for (let x = Math.floor(rect.left) - 2; x < rect.left + rect.w + 2; x++) {
+          const d = roundedRectSdf(x + 0.5, y + 0.5, rect);
+          const coverage = stroke ? clamp01(stroke / 2 + 0.5 - Math.abs(d + stroke / 2)) : clamp01(0.5 - d);
+          blend(x, y, paint(x, y), coverage * alpha);
+        }
+      }
+    },
+    text(str, left, top, scale, paint, alpha = 1) {
+      let cursor = left;
+      for (const ch of str.toUpperCase()) {
+        const glyph = FONT[ch] || FONT[" "];
+        glyph.forEach((row, gy) => {
+          [...row].forEach((bit, gx) => {
+            if (bit !== "1") return;
+            for (let y = 0; y < scale; y++) {
+              for (let x = 0; x < scale; x++) {
+                const px0 = cursor + gx * scale + x;
+                const py0 = top + gy * scale + y;
+                blend(px0, py0, paint(px0, py0), alpha);
+              }
+            }
+          });
+        });
+        cursor += 6 * scale;
+      }
+      return cursor;
+    },
+  };
+}
+
+export const textWidth = (str, scale) => str.length * 6 * scale - scale;
+
+// ---------------------
+// PNG encoding (truecolour, no filtering)
+// ---------------------
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const out = Buffer.alloc(body.length + 8);
+  out.writeUInt32BE(data.length, 0);
+  body.copy(out, 4);
+  out.writeUInt32BE(crc32(body), body.length + 4);
+  return out;
+}
+
+export function encodePng({ width, height, pixels }) {
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (width * 3 + 1);
+    for (let i = 0; i < width * 3; i++) raw[row + 1 + i] = Math.round(pixels[y * width * 3 + i]);
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr.set([8, 2, 0, 0, 0], 8);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/** 1200x630 share card: background glows, halo frame, logo mark, "PredictPix" and a tagline. */
+export function renderOgImage(colors, { tagline = "Prediction markets on Pi", width = 1200, height = 630 } = {}) {
+  const [bg, card, white, pink, cyan, orange] = [
+    colors.bg,
+    colors.card,
+    colors.text,
+    colors.accentPink,
+    colors.accentCyan,
+    colors.accentOrange,
+  ].map(hex);
+  const canvas = createCanvas(width, height, bg);
+
+  // Same three glows as the landing page background.
+  canvas.glow(width * 0.15, height * 0.1, 600, 400, pink, 0.22);
+  canvas.glow(width * 0.85, height * 0.2, 700, 600, cyan, 0.2);
+  canvas.glow(width * 0.5, height * 0.9, 800, 600, orange, 0.2);
+
+  // Halo card: gradient outline around a dark panel.
+  const frame = { left: 48, top: 48, w: width - 96, h: height - 96, r: 40 };
+  const across = (a, b) => (x, y) => mix(a, b, clamp01((x - frame.left + (y - frame.top) * 0.5) / (frame.w + frame.h * 0.5)));
+  canvas.roundedRect(frame, () => card, { alpha: 0.8 });
+  canvas.roundedRect(frame, across(pink, orange), { stroke: 3 });
+
+  const titleScale = 14;
+  const logo = { w: 7 * titleScale, h: 7 * titleScale, r: 24 };
+  const titleW = logo.w + 40 + textWidth("PredictPix", titleScale);
+  const left = Math.round((width - titleW) / 2);
+  const top = 200;
+
+  const logoRect = { left, top, ...logo };
+  canvas.roundedRect(logoRect, (x, y) => mix(cyan, pink, clamp01((x - left + (top + logo.h - y)) / (logo.w + logo.h))));
+
+  const textLeft = left + logo.w + 40;
+  const afterPredict = canvas.text("Predict", textLeft, top, titleScale, () => white);
+  canvas.text("Pix", afterPredict, top, titleScale, () => orange);
+
+  const tagScale = 6;
+  const tagLeft = Math.round((width - textWidth(tagline, tagScale)) / 2);
+  canvas.text(tagline, tagLeft, top + logo.h + 60, tagScale, () => white, 0.8);
+
+  const bar = { left: Math.round(width / 2 - 160), top: top + logo.h + 60 + 7 * tagScale + 48, w: 320, h: 10, r: 5 };
+  canvas.roundedRect(bar, (x) => mix(cyan, pink, clamp01((x - bar.left) / bar.w)));
+
+  return encodePng(canvas);
+}
+
+/**
+ * Square app icon for the web app manifest: the "P" mark on the page background. Everything sits
+ * inside the middle 60%, so the same image works as a maskable icon.
+ */
+export function renderAppIcon(colors, { size = 512 } = {}) {
+  const [bg, pink, cyan, orange] = [colors.bg, colors.accentPink, colors.accentCyan, colors.accentOrange].map(hex);
+  const canvas = createCanvas(size, size, bg);
+  canvas.glow(size / 2, size * 0.6, size * 0.45, size * 0.45, orange, 0.25);
+
+  const scale = Math.floor((size * 0.5) / 7);
+  const left = Math.round((size - textWidth("P", scale)) / 2);
+  const top = Math.round((size - 7 * scale) / 2);
+  const span = 12 * scale;
+  canvas.text("P", left, top, scale, (x, y) => mix(cyan, pink, clamp01((x - left + (y - top)) / span)));
+
+  return encodePng(canvas);
+}
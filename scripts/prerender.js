@@ -0,0 +1,146 @@
+// Build step (runs after `vite build`): renders the public pages to static HTML in dist/ so
+// crawlers and link unfurlers see real content, plus sitemap.xml, robots.txt, og-image.png and
+// the manifest's app icons (icons/icon-<size>.png).
+// The client still mounts with createRoot and replaces the markup once the bundle loads.
+//
+// - dist/index.html is the landing page in its state at build time; PRERENDER_STATE=prelaunch|live
+//   forces one. Both variants are also written to dist/prerender/ to swap in at launch.
+// - PUBLIC_URL sets the canonical host (default https://predictpix.com).
+//
+// Usage: npm run build (or `node scripts/prerender.js` on an existing dist/)
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createServer } from "vite";
+import react from "@vitejs/plugin-react";
+import { createElement } from "react";
+import { renderToString } from "react-dom/server";
+import { renderAppIcon, renderOgImage } from "./og-image.js";
+import { BRAND } from "../src/theme.js";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const dist = path.join(root, "dist");
+const SITE_URL = (process.env.PUBLIC_URL || "https://predictpix.com").replace(/\/$/, "");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeHtml = (s) => String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+// The app reads the URL, storage and languages while rendering; give it a fresh visitor's view.
+function setBrowserGlobals(url) {
+  globalThis.window = { location: new URL(url), matchMedia: () => ({ matches: false }) };
+  globalThis.localStorage = { getItem: () => null, setItem() {}, removeItem() {} };
+  Object.defineProperty(globalThis, "navigator", { value: { languages: ["en"], language: "en" }, configurable: true });
+}
+
+// Renders with the clock pinned to `now` so the launch state (countdown, live layout) is deterministic.
+function renderAt(now, render) {
+  const realNow = Date.now;
+  if (now != null) Date.now = () => now;
+  try {
+    return render();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+function headTags({ title, description, pathname, jsonLd, noindex }) {
+  const url = `${SITE_URL}${pathname === "/" ? "/" : pathname}`;
+  const tags = [
+    `<title>${escapeHtml(title)}</title>`,
+    `<meta name="description" content="${escapeHtml(description)}" />`,
+    `<link rel="canonical" href="${url}" />`,
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    `<meta property="og:type" content="website" />`,
+    `<meta property="og:url" content="${url}" />`,
+    `<meta property="og:image" content="${SITE_URL}/og-image.png" />`,
+    `<meta property="og:image:width" content="1200" />`,
+    `<meta property="og:image:height" content="630" />`,
+    `<meta name="twitter:card" content="summary_large_image" />`,
+  ];
+  if (noindex) tags.push(`<meta name="robots" content="noindex" />`);
+  if (jsonLd) {
+    // "<" is escaped so answer text can never close the script element.
+    tags.push(`<script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, "\\u003c")}</script>`);
+  }
+  return tags.map((t) => `  ${t}`).join("\n");
+}
+
+const SEO_BLOCK = / *<!-- seo:start[\s\S]*?<!-- seo:end -->/;
+const ROOT_EL = '<div id="root"></div>';
+
+function fillTemplate(template, { head, html }) {
+  if (!SEO_BLOCK.test(template) || !template.includes(ROOT_EL)) {
+    throw new Error("dist/index.html is missing the seo:start/seo:end markers or an empty #root");
+  }
+  return template.replace(SEO_BLOCK, () => head).replace(ROOT_EL, () => `<div id="root">${html}</div>`);
+}
+
+function write(file, contents) {
+  const target = path.join(dist, file);
+  mkdirSync(path.dirname(target), { recursive: true });
+  writeFileSync(target, contents);
+  console.log(`  ${path.relative(root, target)}`);
+}
+
+const template = readFileSync(path.join(dist, "index.html"), "utf8");
+const vite = await createServer({
+  root,
+  configFile: false,
+  plugins: [react()],
+  appType: "custom",
+  logLevel: "error",
+  server: { middlewareMode: true, hmr: false, watch: null },
+});
+
+try {
+  const { default: App } = await vite.ssrLoadModule("/src/App.jsx");
+  const { createTranslator, DEFAULT_LOCALE } = await vite.ssrLoadModule("/src/i18n/i18n.js");
+  const { INDEXABLE_PATHS, faqJsonLd, pageMeta } = await vite.ssrLoadModule("/src/lib/seo.js");
+  const { normalizePhases } = await vite.ssrLoadModule("/src/lib/schedule.js");
+  const { default: rawPhases } = await vite.ssrLoadModule("/src/config/launch-phases.json");
+
+  const { t, tm } = createTranslator(DEFAULT_LOCALE);
+  const render = (pathname, now) => {
+    setBrowserGlobals(`${SITE_URL}${pathname}`);
+    const html = renderAt(now, () => renderToString(createElement(App)));
+    const jsonLd = pathname === "/" ? faqJsonLd(tm("faq.items")) : null;
+    const noindex = !INDEXABLE_PATHS.includes(pathname);
+    return fillTemplate(template, { head: headTags({ ...pageMeta(t, pathname), pathname, jsonLd, noindex }), html });
+  };
+
+  console.log("Prerendering:");
+
+  // Landing page, before and after the first `live` phase.
+  const livePhase = normalizePhases(rawPhases).find((p) => p.live);
+  const states = { prelaunch: livePhase ? livePhase.at - DAY_MS : null };
+  if (livePhase) states.live = livePhase.at + 60 * 1000;
+  const current = process.env.PRERENDER_STATE || (livePhase && Date.now() >= livePhase.at ? "live" : "prelaunch");
+  if (!(current in states)) throw new Error(`PRERENDER_STATE must be one of: ${Object.keys(states).join(", ")}`);
+  for (const [state, now] of Object.entries(states)) {
+    const page = render("/", now);
+    write(`prerender/landing-${state}.html`, page);
+    if (state === current) write("index.html", page);
+  }
+
+  // Content pages, served as /privacy -> privacy.html by vite preview and most static hosts.
+  for (const pathname of INDEXABLE_PATHS.filter((p) => p !== "/")) {
+    write(`${pathname.slice(1)}.html`, render(pathname));
+  }
+  write("404.html", render("/404"));
+
+  const lastmod = new Date().toISOString().slice(0, 10);
+  write(
+    "sitemap.xml",
+    `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${INDEXABLE_PATHS.map((p) => `  <url><loc>${SITE_URL}${p}</loc><lastmod>${lastmod}</lastmod></url>`).join("\n")}
+</urlset>
+`,
+  );
+  write("robots.txt", `User-agent: *\nDisallow: /admin\nDisallow: /login\nDisallow: /api/\n\nSitemap: ${SITE_URL}/sitemap.xml\n`);
+  write("og-image.png", renderOgImage(BRAND));
+  for (const size of [192, 512]) write(`icons/icon-${size}.png`, renderAppIcon(BRAND, { size }));
+} finally {
+  await vite.close();
+}
@@ -0,0 +1,84 @@
+// Sends the "we're live" notification to everyone who opted in to launch reminders, in the
+// language they subscribed with. Subscriptions the push service reports as gone are removed.
+// Run it at launch from a machine with the production data and keys (see npm run push:keys).
+//
+// - --dry-run lists what would be sent without contacting any push service
+// - PUBLIC_URL sets where the notification opens (default http://localhost:5173)
+//
+// Usage: npm run push:launch [-- --dry-run]
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadConfig } from "../server/config.js";
+import { createStore } from "../server/store.js";
+import { createPushSender, loadVapidKeys } from "../server/webpush.js";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const dryRun = process.argv.includes("--dry-run");
+const CONCURRENCY = 10;
+
+const config = loadConfig();
+const vapid = await loadVapidKeys(config);
+if (!vapid) {
+  console.error("No VAPID keys found. Run `npm run push:keys` first.");
+  process.exit(1);
+}
+
+const bundles = {};
+function message(locale) {
+  const lang = locale?.split("-")[0] || "en";
+  try {
+    bundles[lang] ??= JSON.parse(readFileSync(path.join(root, "src/i18n/locales", `${lang}.json`), "utf8"));
+  } catch {
+    return message("en");
+  }
+  const { launchTitle, launchBody } = bundles[lang].push;
+  return {
+    title: launchTitle,
+    body: launchBody,
+    url: `${config.publicUrl}/?utm_source=push&utm_medium=notification&utm_campaign=launch`,
+  };
+}
+
+const subscriptions = await createStore(config.dbFile, { pushSubscriptions: [] }).read((db) => db.pushSubscriptions.map((s) => ({ ...s })));
+console.log(`${subscriptions.length} subscription(s)${dryRun ? " (dry run)" : ""}`);
+
+const sender = createPushSender({ vapid, subject: config.vapidSubject });
+const counts = { sent: 0, gone: 0, failed: 0 };
+const gone = [];
+
+async function deliver(sub) {
+  const data = message(sub.locale);
+  if (dryRun) {
+    console.log(`  ${new URL(sub.endpoint).host} [${sub.locale || "en"}] ${data.title}`);
+    return;
+  }
+  try {
+    const status = await sender.send(sub, data);
+    if (status === 404 || status === 410) {
+      counts.gone++;
+      gone.push(sub.endpoint);
+    } else if (status >= 200 && status < 300) {
+      counts.sent++;
+    } else {
+      counts.failed++;
+      console.warn(`  ${new URL(sub.endpoint).host}: HTTP ${status}`);
+    }
+  } catch (err) {
+    counts.failed++;
+    console.warn(`  ${new URL(sub.endpoint).host}: ${err.message}`);
+  }
+}
+
+for (let i = 0; i < subscriptions.length; i += CONCURRENCY) {
+  await Promise.all(subscriptions.slice(i, i + CONCURRENCY).map(deliver));
+}
+
+if (gone.length) {
+  // Reload just before writing so signups the API saved during the run aren't overwritten.
+  const dead = new Set(gone);
+  await createStore(config.dbFile, { pushSubscriptions: [] }).update((db) => {
+    db.pushSubscriptions = db.pushSubscriptions.filter((s) => !dead.has(s.endpoint));
+  });
+}
+if (!dryRun) console.log(`Sent ${counts.sent}, removed ${counts.gone} expired, ${counts.failed} failed.`);
@@ -0,0 +1,23 @@
+// Generates the VAPID key pair for launch reminders and saves it to .data/vapid.json
+// (DATA_DIR to move it). Refuses to replace existing keys, since every stored subscription is
+// tied to the public key; pass --force to start over.
+// Usage: npm run push:keys [-- --force]
+import { existsSync } from "node:fs";
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { loadConfig } from "../server/config.js";
+import { generateVapidKeys } from "../server/webpush.js";
+
+const config = loadConfig();
+
+if (existsSync(config.vapidFile) && !process.argv.includes("--force")) {
+  console.error(`${config.vapidFile} already exists; pass --force to replace it (existing subscriptions stop working).`);
+  process.exit(1);
+}
+
+const keys = generateVapidKeys();
+await mkdir(path.dirname(config.vapidFile), { recursive: true });
+await writeFile(config.vapidFile, JSON.stringify(keys, null, 2), { mode: 0o600 });
+console.log(`Wrote ${config.vapidFile}`);
+console.log(`Public key: ${keys.publicKey}`);
+console.log("For other hosts, set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY from this file.");
@@ -0,0 +1,123 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { HttpError } from "./http.js";
+import { DISPOSABLE_DOMAINS } from "./disposable-domains.js";
+import { HONEYPOT_FIELD, leadingZeroBits } from "../src/lib/signupChecks.js";
+
+// ---------------------
+// Waitlist anti-abuse: honeypot, time-to-submit, proof-of-work, rate limits, disposable emails.
+// The client gets a signed challenge from GET /api/challenge when the form is first used,
+// solves it while the visitor types, and sends `{ challenge, solution, website }` with the signup.
+// ---------------------
+
+export const powDigest = (challenge, solution) => createHash("sha256").update(`${challenge}:${solution}`).digest();
+
+/** Fixed-window counter per key, kept in memory. */
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+  return {
+    /** Counts one hit; returns seconds until the window resets when over the limit, else 0. */
+    hit(key, now = Date.now()) {
+      if (!limit) return 0;
+      for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+      const w = windows.get(key) || { count: 0, resetAt: now + windowMs };
+      w.count++;
+      windows.set(key, w);
+      return w.count > limit ? Math.ceil((w.resetAt - now) / 1000) : 0;
+    },
+  };
+}
+
+/** True for mailinator.com and any subdomain of a listed domain. */
+export function isDisposableEmail(email, extraDomains = []) {
+  const parts = email.slice(email.lastIndexOf("@") + 1).toLowerCase().split(".");
+  for (let i = 0; i < parts.length - 1; i++) {
+    const domain = parts.slice(i).join(".");
+    if (DISPOSABLE_DOMAINS.has(domain) || extraDomains.includes(domain)) return true;
+  }
+  return false;
+}
+
+export function clientIp(req, trustProxy = false) {
+  const forwarded = trustProxy && req.headers["x-forwarded-for"];
+  return (forwarded ? forwarded.split(",")[0] : req.socket?.remoteAddress || "unknown").trim();
+}
+
+/**
+ * `isTrustedRef(ref)` -> Promise<boolean> exempts codes from the per-ref limit
+ * (approved influencer codes are expected to spike).
+ */
+export function createAbuseGuard({
+  secret,
+  minSubmitMs,
+  powDifficulty,
+  challengeTtlMs,
+  ipLimit,
+  refLimit,
+  rateWindowMs,
+  blockDisposable,
+  disposableDomains = [],
+  trustProxy = false,
+  isTrustedRef = async () => false,
+}) {
+  const sign = (data) => createHmac("sha256", secret).update(`challenge.${data}`).digest("base64url");
+  const byIp = createRateLimiter({ limit: ipLimit, windowMs: rateWindowMs });
+  const byRef = createRateLimiter({ limit: refLimit, windowMs: rateWindowMs });
+  // Solved challenges are single-use; remember them until they would have expired anyway.
+  const used = new Map();
+
+  function issueChallenge(now = Date.now()) {
+    const data = `${now}.${powDifficulty}.${randomBytes(12).toString("base64url")}`;
+    return { challenge: `${data}.${sign(data)}`, difficulty: powDifficulty, minSubmitMs, expiresAt: now + challengeTtlMs };
+  }
+
+  function verifyChallenge(challenge, solution, now) {
+    const reject = (code, message) => {
+      throw new HttpError(400, code, message);
+    };
+    const [issuedAt, difficulty, nonce, sig] = String(challenge ?? "").split(".");
+    const data = `${issuedAt}.${difficulty}.${nonce}`;
+    const expected = Buffer.from(sign(data));
+    const given = Buffer.from(sig ?? "");
+    if (!nonce || expected.length !== given.length || !timingSafeEqual(expected, given)) {
+      reject("challenge_invalid", "Please submit the form again.");
+    }
+    const age = now - Number(issuedAt);
+    if (age > challengeTtlMs) reject("challenge_invalid", "Please submit the form again.");
+    if (age < minSubmitMs) reject("too_fast", "That was quick! Please check your details and submit again.");
+    if (leadingZeroBits(powDigest(challenge, String(solution ?? ""))) < Number(difficulty)) {
+      reject("challenge_invalid", "Please submit the form again.");
+    }
+    for (const [c, expiresAt] of used) if (expiresAt <= now) used.delete(c);
+    if (used.has(challenge)) reject("challenge_invalid", "Please submit the form again.");
+    used.set(challenge, Number(issuedAt) + challengeTtlMs);
+  }
+
+  /** Throws an HttpError for anything that looks automated; `payload` is the raw signup body. */
+  async function checkSignup(req, payload, now = Date.now()) {
+    const ipRetry = byIp.hit(clientIp(req, trustProxy), now);
+    if (ipRetry) {
+      throw new HttpError(429, "rate_limited", "Too many signup attempts. Please try again later.", { retryAfter: ipRetry });
+    }
+    if (String(payload[HONEYPOT_FIELD] ?? "").trim()) {
+      throw new HttpError(400, "bot_detected", "We couldn't verify this signup. Please reload the page and try again.");
+    }
+    verifyChallenge(payload.challenge, payload.solution, now);
+
+    const email = String(payload.email ?? "").trim().toLowerCase();
+    if (blockDisposable && isDisposableEmail(email, disposableDomains)) {
+      throw new HttpError(400, "disposable_email", "Please use a permanent email address, not a disposable inbox.");
+    }
+
+    const ref = String(payload.ref ?? "").trim().toLowerCase();
+    if (ref && !(await isTrustedRef(ref))) {
+      const refRetry = byRef.hit(ref, now);
+      if (refRetry) {
+        throw new HttpError(429, "ref_rate_limited", "This referral link has had a lot of signups recently. Please try again later.", {
+          retryAfter: refRetry,
+        });
+      }
+    }
+  }
+
+  return { issueChallenge, checkSignup };
+}
@@ -0,0 +1,126 @@
+import { describe, expect, it } from "vitest";
+import { leadingZeroBits } from "../src/lib/signupChecks.js";
+import { clientIp, createAbuseGuard, createRateLimiter, isDisposableEmail, powDigest } from "./abuse.js";
+
+const T0 = Date.parse("2026-01-01T12:00:00Z");
+const req = (ip = "203.0.113.7", headers = {}) => ({ headers, socket: { remoteAddress: ip } });
+
+function solve({ challenge, difficulty }) {
+  for (let solution = 0; ; solution++) {
+    if (leadingZeroBits(powDigest(challenge, String(solution))) >= difficulty) return String(solution);
+  }
+}
+
+function setup(options = {}) {
+  const guard = createAbuseGuard({
+    secret: "test-secret",
+    minSubmitMs: 3000,
+    powDifficulty: 8,
+    challengeTtlMs: 30 * 60 * 1000,
+    ipLimit: 3,
+    refLimit: 2,
+    rateWindowMs: 60 * 60 * 1000,
+    blockDisposable: true,
+    ...options,
+  });
+  // A solved challenge, submitted `after` ms after it was issued.
+  const signup = (payload = {}, { after = 5000, issuedAt = T0 } = {}) => {
+    const c = guard.issueChallenge(issuedAt);
+    return { body: { email: "jane@example.com", challenge: c.challenge, solution: solve(c), ...payload }, now: issuedAt + after };
+  };
+  const check = ({ body, now }, from = req()) => guard.checkSignup(from, body, now);
+  return { guard, signup, check };
+}
+
+describe("createRateLimiter", () => {
+  it("allows `limit` hits per window, then reports the seconds left", () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 60_000 });
+    expect(limiter.hit("k", T0)).toBe(0);
+    expect(limiter.hit("k", T0 + 1000)).toBe(0);
+    expect(limiter.hit("k", T0 + 30_000)).toBe(30);
+    expect(limiter.hit("other", T0 + 30_000)).toBe(0);
+  });
+
+  it("starts a fresh window once the old one has passed", () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 60_000 });
+    limiter.hit("k", T0);
+    expect(limiter.hit("k", T0 + 59_999)).toBe(1);
+    expect(limiter.hit("k", T0 + 60_000)).toBe(0);
+  });
+
+  it("is off with a limit of 0", () => {
+    const limiter = createRateLimiter({ limit: 0, windowMs: 60_000 });
+    for (let i = 0; i < 5; i++) expect(limiter.hit("k", T0)).toBe(0);
+  });
+});
+
+describe("proof-of-work challenges", () => {
+  it("accepts a solved challenge once", async () => {
+    const { signup, check } = setup();
+    const attempt = signup();
+    await expect(check(attempt)).resolves.toBeUndefined();
+    await expect(check(attempt)).rejects.toMatchObject({ status: 400, code: "challenge_invalid" });
+  });
+
+  it("rejects a solution with too few leading zero bits", async () => {
+    const { signup, check } = setup();
+    const attempt = signup();
+    let wrong = 0;
+    while (leadingZeroBits(powDigest(attempt.body.challenge, String(wrong))) >= 8) wrong++;
+    await expect(check({ ...attempt, body: { ...attempt.body, solution: String(wrong) } })).rejects.toMatchObject({ code: "challenge_invalid" });
+  });
+
+  it("rejects a tampered challenge, e.g. a lowered difficulty", async () => {
+    const { signup, check } = setup();
+    const attempt = signup();
+    const [issuedAt, , nonce, sig] = attempt.body.challenge.split(".");
+    const easier = { ...attempt.body, challenge: [issuedAt, 0, nonce, sig].join("."), solution: "0" };
+    await expect(check({ ...attempt, body: easier })).rejects.toMatchObject({ code: "challenge_invalid" });
+  });
+
+  it("rejects challenges that are too fresh or expired", async () => {
+    const { signup, check } = setup();
+    await expect(check(signup({}, { after: 1000 }))).rejects.toMatchObject({ code: "too_fast" });
+    await expect(check(signup({}, { after: 31 * 60 * 1000 }))).rejects.toMatchObject({ code: "challenge_invalid" });
+  });
+});
+
+describe("checkSignup", () => {
+  it("rejects a filled-in honeypot", async () => {
+    const { signup, check } = setup();
+    await expect(check(signup({ website: "https://spam.example" }))).rejects.toMatchObject({ code: "bot_detected" });
+  });
+
+  it("rejects disposable inboxes, including their subdomains", async () => {
+    const { signup, check } = setup();
+    await expect(check(signup({ email: "x@mailinator.com" }))).rejects.toMatchObject({ code: "disposable_email" });
+    expect(isDisposableEmail("x@eu.mailinator.com")).toBe(true);
+    expect(isDisposableEmail("x@example.com", ["example.com"])).toBe(true);
+    expect(isDisposableEmail("x@example.com")).toBe(false);
+  });
+
+  it("limits attempts per IP, counting failed ones too", async () => {
+    const { signup, check } = setup();
+    await expect(check(signup({ website: "bot" }))).rejects.toMatchObject({ code: "bot_detected" });
+    await check(signup());
+    await check(signup());
+    await expect(check(signup())).rejects.toMatchObject({ status: 429, code: "rate_limited", extra: { retryAfter: 3600 } });
+    await expect(check(signup(), req("198.51.100.1"))).resolves.toBeUndefined();
+  });
+
+  it("limits signups per referral code, except trusted ones", async () => {
+    const { signup, check } = setup({ ipLimit: 0, isTrustedRef: async (ref) => ref === "creator" });
+    await check(signup({ ref: "abc2345" }));
+    await check(signup({ ref: "ABC2345" }));
+    await expect(check(signup({ ref: "abc2345" }))).rejects.toMatchObject({ status: 429, code: "ref_rate_limited" });
+    for (let i = 0; i < 3; i++) await check(signup({ ref: "creator" }));
+  });
+});
+
+describe("clientIp", () => {
+  it("reads X-Forwarded-For only behind a trusted proxy", () => {
+    const proxied = req("10.0.0.1", { "x-forwarded-for": "203.0.113.9, 10.0.0.1" });
+    expect(clientIp(proxied)).toBe("10.0.0.1");
+    expect(clientIp(proxied, true)).toBe("203.0.113.9");
+  });
+});
@@ -0,0 +1,159 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import { HttpError } from "./http.js";
+import { computePositions, countReferrals } from "./referrals.js";
+
+// ---------------------
+// Waitlist admin: listing/filtering, referral trees, CSV export and invite waves
+// ---------------------
+const digest = (s) => createHash("sha256").update(String(s)).digest();
+
+/** Without ADMIN_PASSWORD every admin route is off, in every environment. */
+export function checkAdminEnabled(expected) {
+  if (!expected) throw new HttpError(503, "admin_disabled", "Admin access is not configured (set ADMIN_PASSWORD).");
+}
+
+export function checkAdminPassword(expected, given) {
+  checkAdminEnabled(expected);
+  if (!timingSafeEqual(digest(expected), digest(given ?? ""))) {
+    throw new HttpError(401, "invalid_password", "Wrong password.");
+  }
+}
+
+export function signupStatus(s) {
+  if (s.invitedAt) return "invited";
+  return s.confirmedAt ? "confirmed" : "pending";
+}
+
+/** Admin view of every signup, in waitlist order. */
+function enrich(subscribers, boost) {
+  const positions = computePositions(subscribers, boost);
+  const byId = new Map(subscribers.map((s) => [s.id, s]));
+  return subscribers
+    .map((s) => ({
+      id: s.id,
+      email: s.email,
+      wallet: s.wallet,
+      piUsername: s.piUsername || null,
+      code: s.code,
+      ref: s.ref,
+      utmSource: s.utm?.source || null,
+      utmMedium: s.utm?.medium || null,
+      utmCampaign: s.utm?.campaign || null,
+      // "hero-copy=outcomes;cta-order=control"
+      experiments: s.experiments ? Object.entries(s.experiments).map(([id, v]) => `${id}=${v}`).join(";") : null,
+      referredByCode: byId.get(s.referredBy)?.code || null,
+      referrals: countReferrals(subscribers, s.id),
+      position: positions.get(s.id),
+      status: signupStatus(s),
+      createdAt: s.createdAt,
+      confirmedAt: s.confirmedAt,
+      invitedAt: s.invitedAt || null,
+      inviteWave: s.inviteWave || null,
+      foundingPredictor: !!s.foundingPredictor,
+    }))
+    .sort((a, b) => a.position - b.position);
+}
+
+/** Filters: `q` (email/wallet/Pi username/code substring), `ref` (code used at signup), `status`. */
+export function filterSignups(rows, { q, ref, status } = {}) {
+  const needle = q?.trim().toLowerCase();
+  const refCode = ref?.trim().toLowerCase();
+  return rows.filter((r) => {
+    if (status === "founding" ? !r.foundingPredictor : status && r.status !== status) return false;
+    if (refCode && r.ref?.toLowerCase() !== refCode) return false;
+    if (!needle) return true;
+    return [r.email, r.wallet, r.piUsername, r.code].some((v) => v?.toLowerCase().includes(needle));
+  });
+}
+
+const CSV_COLUMNS = [
+  "position", "email", "wallet", "piUsername", "code", "ref", "utmSource", "utmMedium", "utmCampaign", "experiments", "referredByCode",
+  "referralsTotal", "referralsConfirmed", "status", "inviteWave", "foundingPredictor", "createdAt", "confirmedAt", "invitedAt",
+];
+
+function csvCell(v) {
+  if (v == null) return "";
+  let s = String(v);
+  // Neutralize spreadsheet formulas (=, +, -, @) in user-supplied fields.
+  if (/^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows) {
+  const lines = rows.map((r) =>
+    CSV_COLUMNS.map((c) =>
+      csvCell(c === "referralsTotal" ? r.referrals.total : c === "referralsConfirmed" ? r.referrals.confirmed : r[c])
+    ).join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...lines].join("\r\n") + "\r\n";
+}
+
+export function createAdminService({ store, mailer, referralBoost, foundingLimit }) {
+  function list(filters) {
+    return store.read((db) => filterSignups(enrich(db.subscribers, referralBoost), filters));
+  }
+
+  /** Nested `{ ...row, children: [...] }` of everyone referred (directly or not) by `id`. */
+  function tree(id) {
+    return store.read((db) => {
+      const rows = new Map(enrich(db.subscribers, referralBoost).map((r) => [r.id, r]));
+      if (!rows.has(id)) throw new HttpError(404, "not_found", "Signup not found.");
+      const build = (nodeId, seen) => {
+        seen.add(nodeId);
+        const children = db.subscribers
+          .filter((s) => s.referredBy === nodeId && !seen.has(s.id))
+          .map((s) => build(s.id, seen));
+        return { ...rows.get(nodeId), children };
+      };
+      return build(id, new Set());
+    });
+  }
+
+  /**
+   * Mark the selected confirmed signups as invited in `wave`, then grant Founding Predictor
+   * to invited + confirmed users in invite order until `foundingLimit` holders exist.
+   */
+  async function sendWave({ wave, ids }) {
+    const waveNo = Number(wave);
+    if (!Number.isInteger(waveNo) || waveNo < 1) throw new HttpError(400, "invalid_wave", "Wave must be a positive number.");
+    if (!Array.isArray(ids) || !ids.length) throw new HttpError(400, "empty_cohort", "Select at least one signup.");
+
+    const wanted = new Set(ids);
+    const result = await store.update((db) => {
+      const now = new Date().toISOString();
+      const invited = [];
+      let skipped = 0;
+      for (const s of db.subscribers) {
+        if (!wanted.has(s.id)) continue;
+        if (!s.confirmedAt || s.invitedAt) {
+          skipped++;
+          continue;
+        }
+        s.invitedAt = now;
+        s.inviteWave = waveNo;
+        invited.push(s);
+      }
+
+      const positions = computePositions(db.subscribers, referralBoost);
+      let holders = db.subscribers.filter((s) => s.foundingPredictor).length;
+      const candidates = db.subscribers
+        .filter((s) => s.invitedAt && s.confirmedAt && !s.foundingPredictor)
+        .sort((a, b) => a.invitedAt.localeCompare(b.invitedAt) || positions.get(a.id) - positions.get(b.id));
+      let founding = 0;
+      for (const s of candidates) {
+        if (holders >= foundingLimit) break;
+        s.foundingPredictor = true;
+        holders++;
+        founding++;
+      }
+      return { invited, skipped, founding };
+    });
+
+    for (const s of result.invited) {
+      await mailer.sendInvite({ email: s.email, wave: waveNo, foundingPredictor: !!s.foundingPredictor });
+    }
+    return { wave: waveNo, invited: result.invited.length, skipped: result.skipped, founding: result.founding };
+  }
+
+  return { list, tree, sendWave };
+}
@@ -0,0 +1,257 @@
+import { createStore } from "./store.js";
+import { createMailer, createTransport } from "./mailer.js";
+import { createRouter } from "./router.js";
+import { HttpError, openEventStream, readJson, redirect, sendJson } from "./http.js";
+import { createStubStats } from "./stats-stub.js";
+import { createStubMarkets } from "./markets-stub.js";
+import { createSubscriberService, maskEmail } from "./subscribers.js";
+import { createPiVerifier } from "./pi-auth.js";
+import { createSessions } from "./session.js";
+import { checkAdminEnabled, checkAdminPassword, createAdminService, toCsv } from "./admin.js";
+import { createInfluencerService } from "./influencers.js";
+import { clientIp, createAbuseGuard, createRateLimiter } from "./abuse.js";
+import { createEventLog, normalizeEvents, optedOut } from "./events.js";
+import { createCors } from "./cors.js";
+import { createPushService } from "./push.js";
+import { createLeaderboard } from "./leaderboard.js";
+import { loadVapidKeys } from "./webpush.js";
+
+// ---------------------
+// API wiring: builds services from config and registers routes.
+// Returns a connect-style middleware `(req, res, next)`.
+// ---------------------
+export function createApi(config, overrides = {}) {
+  const store = overrides.store || createStore(config.dbFile, { subscribers: [], influencers: [], pushSubscriptions: [] });
+  const mailer =
+    overrides.mailer ||
+    createMailer({ transport: createTransport(config), from: config.mailFrom, publicUrl: config.publicUrl });
+  const subscribers = createSubscriberService({
+    store,
+    mailer,
+    confirmTtlHours: config.confirmTtlHours,
+    confirmResendMinutes: config.confirmResendMinutes,
+    referralBoost: config.referralBoost,
+  });
+
+  const influencers = createInfluencerService({ store, mailer });
+  const guard = createAbuseGuard({
+    secret: config.sessionSecret,
+    minSubmitMs: config.minSubmitMs,
+    powDifficulty: config.powDifficulty,
+    challengeTtlMs: config.challengeTtlMinutes * 60 * 1000,
+    ipLimit: config.ipSignupLimit,
+    refLimit: config.refSignupLimit,
+    rateWindowMs: config.rateWindowMinutes * 60 * 1000,
+    blockDisposable: config.blockDisposable,
+    disposableDomains: config.disposableDomains,
+    trustProxy: config.trustProxy,
+    isTrustedRef: influencers.isApprovedCode,
+  });
+
+  const pi = overrides.pi || createPiVerifier({ mode: config.piAuthMode, apiUrl: config.piApiUrl });
+  const secure = config.publicUrl.startsWith("https:");
+  const sessions = createSessions({ secret: config.sessionSecret, secure });
+  const adminSessions = createSessions({ secret: config.sessionSecret, cookieName: "pp_admin", maxAgeDays: 1, secure });
+  const admin = createAdminService({
+    store,
+    mailer,
+    referralBoost: config.referralBoost,
+    foundingLimit: config.foundingLimit,
+  });
+  const events = overrides.events || createEventLog(config.eventsFile);
+  const eventLimiter = createRateLimiter({ limit: 120, windowMs: 10 * 60 * 1000 });
+  const stats = overrides.stats || (config.statsSource === "stub" ? createStubStats({ tickMs: config.statsIntervalMs }) : null);
+  const markets = overrides.markets || (config.marketsSource === "stub" ? createStubMarkets() : null);
+  const push = createPushService({ store });
+  const leaderboard = createLeaderboard({ store, ttlMs: config.leaderboardTtlSeconds * 1000 });
+
+  const router = createRouter();
+  const cors = createCors(config.corsOrigins);
+
+  function requireStats() {
+    if (!stats) throw new HttpError(503, "stats_unavailable", "Live stats aren't available yet.");
+  }
+
+  function requireAdmin(req) {
+    checkAdminEnabled(config.adminPassword);
+    if (!adminSessions.read(req)?.admin) throw new HttpError(401, "unauthorized", "Admin login required.");
+  }
+
+  const signupFilters = (url) => ({
+    q: url.searchParams.get("q") || undefined,
+    ref: url.searchParams.get("ref") || undefined,
+    status: url.searchParams.get("status") || undefined,
+  });
+
+  router.get("/api/challenge", ({ res }) => {
+    sendJson(res, 200, guard.issueChallenge());
+  });
+
+  router.post("/api/subscribe", async ({ req, res }) => {
+    const body = await readJson(req);
+    await guard.checkSignup(req, body);
+    const referral = await subscribers.subscribe(body);
+    sendJson(res, 201, { ok: true, status: "pending_confirmation", ...referral });
+  });
+
+  router.post("/api/events", async ({ req, res }) => {
+    const body = await readJson(req);
+    // Consent is checked client-side; these headers are a backstop for Do Not Track / GPC.
+    if (optedOut(req)) return sendJson(res, 202, { accepted: 0 });
+    if (eventLimiter.hit(clientIp(req, config.trustProxy))) return sendJson(res, 202, { accepted: 0 });
+    const batch = normalizeEvents(body);
+    await events.append(batch);
+    sendJson(res, 202, { accepted: batch.length });
+  });
+
+  router.get("/api/referrals/:code", async ({ res, params }) => {
+    const status = await subscribers.status(params.code);
+    if (!status) throw new HttpError(404, "unknown_ref", "That referral code doesn't exist.");
+    sendJson(res, 200, status);
+  });
+
+  // Shared caches may keep the public board; a visitor's own rank (`code`) is theirs only.
+  router.get("/api/leaderboard", async ({ res, url }) => {
+    const limit = Math.min(50, Math.max(1, Number(url.searchParams.get("limit")) || 10));
+    const code = url.searchParams.get("code") || undefined;
+    const maxAge = `max-age=${config.leaderboardTtlSeconds}`;
+    sendJson(res, 200, await leaderboard.top({ limit, code }), {
+      "Cache-Control": code ? `private, ${maxAge}` : `public, ${maxAge}`,
+    });
+  });
+
+  router.get("/api/confirm", async ({ res, url }) => {
+    const s = await subscribers.confirm(url.searchParams.get("token"));
+    redirect(res, `/?confirmed=${s ? "1" : "0"}#waitlist`);
+  });
+
+  router.post("/api/influencers", async ({ req, res }) => {
+    sendJson(res, 201, await influencers.apply(await readJson(req)));
+  });
+
+  router.get("/api/influencers/stats", async ({ res, url }) => {
+    sendJson(res, 200, await influencers.stats(url.searchParams.get("token")));
+  });
+
+  router.post("/api/auth/pi", async ({ req, res }) => {
+    const body = await readJson(req);
+    const user = await pi.verify(body.accessToken);
+    const linked = await subscribers.linkPiUser(user);
+    // An email alone proves nothing: it only gets a confirmation link (`linkRequested`).
+    const linkRequested = !linked && !!body.email;
+    if (linkRequested) await subscribers.requestPiLink(user, body.email);
+    const session = { user, linkedEmail: linked ? maskEmail(linked.email) : null };
+    sessions.set(res, session);
+    sendJson(res, 200, { ...session, linkRequested });
+  });
+
+  router.get("/api/auth/pi/link", async ({ req, res, url }) => {
+    const s = await subscribers.confirmPiLink(url.searchParams.get("token"));
+    // Opened in the browser that logged in: show the link right away.
+    const session = sessions.read(req);
+    if (s && session?.user?.uid === s.piUid) sessions.set(res, { user: session.user, linkedEmail: maskEmail(s.email) });
+    redirect(res, `/?linked=${s ? "1" : "0"}#waitlist`);
+  });
+
+  router.get("/api/auth/me", ({ req, res }) => {
+    const session = sessions.read(req);
+    sendJson(res, 200, session ? { user: session.user, linkedEmail: session.linkedEmail } : { user: null });
+  });
+
+  router.post("/api/auth/logout", ({ res }) => {
+    sessions.clear(res);
+    sendJson(res, 200, { ok: true });
+  });
+
+  router.get("/api/time", ({ res }) => {
+    sendJson(res, 200, { now: Date.now() });
+  });
+
+  router.get("/api/stats", ({ res }) => {
+    requireStats();
+    sendJson(res, 200, stats.snapshot());
+  });
+
+  router.get("/api/stats/stream", ({ req, res }) => {
+    requireStats();
+    const timer = setInterval(() => send("stats", stats.snapshot()), config.statsIntervalMs);
+    const send = openEventStream(req, res, () => clearInterval(timer));
+    send("stats", stats.snapshot());
+  });
+
+  router.get("/api/markets/featured", ({ res, url }) => {
+    if (!markets) throw new HttpError(503, "markets_unavailable", "Featured markets aren't available yet.");
+    const limit = Math.min(12, Math.max(1, Number(url.searchParams.get("limit")) || 6));
+    sendJson(res, 200, markets.featured({ limit }));
+  });
+
+  // Read per request so keys generated while the server is running are picked up.
+  router.get("/api/push/key", async ({ res }) => {
+    const vapid = await loadVapidKeys(config);
+    if (!vapid) throw new HttpError(404, "push_disabled", "Launch reminders aren't set up.");
+    sendJson(res, 200, { publicKey: vapid.publicKey });
+  });
+
+  router.post("/api/push/subscriptions", async ({ req, res }) => {
+    sendJson(res, 201, await push.subscribe(await readJson(req)));
+  });
+
+  router.delete("/api/push/subscriptions", async ({ req, res }) => {
+    const { endpoint } = await readJson(req);
+    sendJson(res, 200, await push.unsubscribe(String(endpoint ?? "")));
+  });
+
+  router.post("/api/admin/login", async ({ req, res }) => {
+    checkAdminPassword(config.adminPassword, (await readJson(req)).password);
+    adminSessions.set(res, { admin: true });
+    sendJson(res, 200, { ok: true });
+  });
+
+  router.post("/api/admin/logout", ({ res }) => {
+    adminSessions.clear(res);
+    sendJson(res, 200, { ok: true });
+  });
+
+  router.get("/api/admin/signups", async ({ req, res, url }) => {
+    requireAdmin(req);
+    const rows = await admin.list(signupFilters(url));
+    sendJson(res, 200, { signups: rows, total: rows.length });
+  });
+
+  router.get("/api/admin/signups.csv", async ({ req, res, url }) => {
+    requireAdmin(req);
+    const csv = toCsv(await admin.list(signupFilters(url)));
+    res.writeHead(200, {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="predictpix-signups-${new Date().toISOString().slice(0, 10)}.csv"`,
+      "Cache-Control": "no-store",
+    });
+    res.end(csv);
+  });
+
+  router.get("/api/admin/signups/:id/tree", async ({ req, res, params }) => {
+    requireAdmin(req);
+    sendJson(res, 200, await admin.tree(params.id));
+  });
+
+  router.post("/api/admin/waves", async ({ req, res }) => {
+    requireAdmin(req);
+    // A full cohort of ids is larger than the default body limit.
+    sendJson(res, 200, await admin.sendWave(await readJson(req, 256 * 1024)));
+  });
+
+  router.get("/api/admin/influencers", async ({ req, res, url }) => {
+    requireAdmin(req);
+    sendJson(res, 200, { influencers: await influencers.list({ status: url.searchParams.get("status") || undefined }) });
+  });
+
+  router.patch("/api/admin/influencers/:id", async ({ req, res, params }) => {
+    requireAdmin(req);
+    sendJson(res, 200, await influencers.review(params.id, await readJson(req)));
+  });
+
+  return (req, res, next) => {
+    if (cors(req, res)) return;
+    return router.handle(req, res, next);
+  };
+}
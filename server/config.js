@@ -0,0 +1,56 @@
+import { randomBytes } from "node:crypto";
+import path from "node:path";
+
+// ---------------------
+// Runtime config (env driven, sensible local defaults)
+// ---------------------
+export function loadConfig(env = process.env) {
+  const dataDir = path.resolve(env.DATA_DIR || ".data");
+  const port = Number(env.API_PORT || env.PORT || 8787);
+  const publicUrl = (env.PUBLIC_URL || "http://localhost:5173").replace(/\/$/, "");
+  return {
+    port,
+    dataDir,
+    dbFile: path.join(dataDir, "db.json"),
+    eventsFile: path.join(dataDir, "events.ndjson"),
+    publicUrl,
+    mailTransport: env.MAIL_TRANSPORT || "console", // "console" | "file"
+    mailDir: path.resolve(env.MAIL_DIR || path.join(dataDir, "mail")),
+    mailFrom: env.MAIL_FROM || "PredictPix <team@predictpix.com>",
+    confirmTtlHours: Number(env.CONFIRM_TTL_HOURS || 72),
+    confirmResendMinutes: Number(env.CONFIRM_RESEND_MINUTES || 10), // least time between confirmation mails to one signup
+    // The stub's numbers are made up: it only serves stats when asked to (STATS_SOURCE=stub, or `npm run dev`).
+    statsSource: env.STATS_SOURCE === "stub" ? "stub" : null,
+    statsIntervalMs: Number(env.STATS_INTERVAL_MS || 5000),
+    // Same for the sample featured markets: MARKETS_SOURCE=stub, or `npm run dev`.
+    marketsSource: env.MARKETS_SOURCE === "stub" ? "stub" : null,
+    referralBoost: Number(env.REFERRAL_BOOST || 5), // places moved up per confirmed referral
+    leaderboardTtlSeconds: Number(env.LEADERBOARD_TTL_SECONDS || 60), // how stale the public leaderboard may be
+    // Mock accepts any `mock:<uid>:<username>` token, so it is never a default: opt in with PI_AUTH=mock.
+    piAuthMode: env.PI_AUTH === "mock" ? "mock" : "api",
+    piApiUrl: (env.PI_API_URL || "https://api.minepi.com").replace(/\/$/, ""),
+    // Without SESSION_SECRET, sessions only survive until the process restarts.
+    // Admin console is off unless a password is set.
+    adminPassword: env.ADMIN_PASSWORD || null,
+    foundingLimit: Number(env.FOUNDING_LIMIT || 1000),
+    sessionSecret: env.SESSION_SECRET || randomBytes(32).toString("hex"),
+    // Waitlist anti-abuse (server/abuse.js). 0 disables a check.
+    minSubmitMs: Number(env.MIN_SUBMIT_MS || 3000), // fastest allowed form fill, from first focus
+    powDifficulty: Number(env.POW_DIFFICULTY || 14), // leading zero bits; each +1 doubles client work
+    challengeTtlMinutes: Number(env.CHALLENGE_TTL_MINUTES || 30),
+    ipSignupLimit: Number(env.IP_SIGNUP_LIMIT || 10), // attempts per IP per window
+    refSignupLimit: Number(env.REF_SIGNUP_LIMIT || 25), // signups per referral code per window
+    rateWindowMinutes: Number(env.RATE_WINDOW_MINUTES || 60),
+    blockDisposable: env.BLOCK_DISPOSABLE_EMAIL !== "false",
+    disposableDomains: (env.DISPOSABLE_DOMAINS || "").split(",").map((d) => d.trim().toLowerCase()).filter(Boolean),
+    trustProxy: env.TRUST_PROXY === "true", // read client IPs from X-Forwarded-For
+    // Sites allowed to embed the waitlist widget (comma-separated origins). Only the site itself
+    // unless configured; * (any site) has to be set explicitly.
+    corsOrigins: (env.CORS_ORIGINS || new URL(publicUrl).origin).split(",").map((o) => o.trim().replace(/\/$/, "")).filter(Boolean),
+    // Web Push launch reminders: keys from `npm run push:keys`, or both env vars (base64url).
+    vapidFile: path.join(dataDir, "vapid.json"),
+    vapidPublicKey: env.VAPID_PUBLIC_KEY || null,
+    vapidPrivateKey: env.VAPID_PRIVATE_KEY || null,
+    vapidSubject: env.VAPID_SUBJECT || "mailto:team@predictpix.com",
+  };
+}
@@ -0,0 +1,31 @@
+// ---------------------
+// CORS for the endpoints the embeddable widget (src/widget/) calls from partner sites.
+// Everything else stays same-origin only.
+// ---------------------
+export const WIDGET_PATHS = ["/api/challenge", "/api/subscribe", "/api/time"];
+
+/**
+ * `allowedOrigins` is a list of origins or ["*"]. The returned `cors(req, res)` sets the
+ * headers for allowed cross-origin requests and returns true when it has answered a preflight.
+ */
+export function createCors(allowedOrigins = [], paths = WIDGET_PATHS) {
+  const allowAll = allowedOrigins.includes("*");
+
+  return function cors(req, res) {
+    const origin = req.headers.origin;
+    if (!origin || !paths.includes(new URL(req.url, "http://localhost").pathname)) return false;
+    if (!allowAll && !allowedOrigins.includes(origin)) return false;
+
+    res.setHeader("Access-Control-Allow-Origin", allowAll ? "*" : origin);
+    res.setHeader("Vary", "Origin");
+    res.setHeader("Access-Control-Expose-Headers", "Retry-After");
+    if (req.method !== "OPTIONS") return false;
+    res.writeHead(204, {
+      "Access-Control-Allow-Methods": "GET, POST",
+      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Max-Age": "86400",
+    });
+    res.end();
+    return true;
+  };
+}
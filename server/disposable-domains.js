@@ -0,0 +1,61 @@
+// Well-known disposable / throwaway inbox providers. Subdomains match too.
+// Add more at runtime with DISPOSABLE_DOMAINS=example.com,other.test
+export const DISPOSABLE_DOMAINS = new Set([
+  "10minutemail.com",
+  "10minutemail.net",
+  "20minutemail.com",
+  "33mail.com",
+  "anonbox.net",
+  "burnermail.io",
+  "byom.de",
+  "discard.email",
+  "dispostable.com",
+  "dropmail.me",
+  "emailondeck.com",
+  "fakeinbox.com",
+  "fakemail.net",
+  "getairmail.com",
+  "getnada.com",
+  "guerrillamail.biz",
+  "guerrillamail.com",
+  "guerrillamail.de",
+  "guerrillamail.info",
+  "guerrillamail.net",
+  "guerrillamail.org",
+  "guerrillamailblock.com",
+  "harakirimail.com",
+  "incognitomail.org",
+  "inboxkitten.com",
+  "mail.tm",
+  "mailcatch.com",
+  "maildrop.cc",
+  "mailinator.com",
+  "mailinator.net",
+  "mailnesia.com",
+  "mailpoof.com",
+  "mintemail.com",
+  "mohmal.com",
+  "moakt.com",
+  "mytemp.email",
+  "mytrashmail.com",
+  "nada.email",
+  "sharklasers.com",
+  "spam4.me",
+  "spambox.us",
+  "spamgourmet.com",
+  "tempail.com",
+  "tempinbox.com",
+  "tempmail.com",
+  "tempmail.net",
+  "tempmailo.com",
+  "temp-mail.io",
+  "temp-mail.org",
+  "tempr.email",
+  "throwawaymail.com",
+  "trashmail.com",
+  "trashmail.de",
+  "trashmail.net",
+  "yopmail.com",
+  "yopmail.fr",
+  "yopmail.net",
+]);
@@ -0,0 +1,61 @@
+import { appendFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { HttpError } from "./http.js";
+
+// ---------------------
+// First-party analytics events (POST /api/events), appended to an NDJSON log.
+// Only what the client batch carries is stored: no IPs, no cookies, no user agent.
+// ---------------------
+const MAX_EVENTS = 50;
+const NAME_RE = /^[a-z][a-z0-9_]{0,39}$/;
+const KEY_RE = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+
+function cleanProps(props) {
+  const out = {};
+  if (!props || typeof props !== "object") return out;
+  for (const [key, value] of Object.entries(props).slice(0, 20)) {
+    if (!KEY_RE.test(key)) continue;
+    if (typeof value === "string") out[key] = value.slice(0, 200);
+    else if (typeof value === "number" && Number.isFinite(value)) out[key] = value;
+    else if (typeof value === "boolean") out[key] = value;
+  }
+  return out;
+}
+
+/** Validates a `{ events: [{ name, props, path, ts, sid }] }` batch; malformed events are dropped. */
+export function normalizeEvents(body, now = Date.now()) {
+  if (!Array.isArray(body?.events)) throw new HttpError(400, "invalid_events", "Expected an events array.");
+  if (body.events.length > MAX_EVENTS) throw new HttpError(413, "too_many_events", `At most ${MAX_EVENTS} events per batch.`);
+  return body.events
+    // RegExp#test stringifies its argument, so `["signup"]` would pass without the type check.
+    .filter((e) => e && typeof e.name === "string" && NAME_RE.test(e.name))
+    .map((e) => ({
+      name: e.name,
+      props: cleanProps(e.props),
+      path: typeof e.path === "string" && e.path.startsWith("/") ? e.path.slice(0, 200) : null,
+      // Client clocks drift; keep their timestamp only when it's plausible.
+      ts: Number.isFinite(e.ts) && Math.abs(now - e.ts) < 24 * 3600 * 1000 ? e.ts : now,
+      sid: typeof e.sid === "string" ? e.sid.slice(0, 40) : null,
+      receivedAt: now,
+    }));
+}
+
+/** Browser privacy signals sent as request headers. */
+export const optedOut = (req) => req.headers.dnt === "1" || req.headers["sec-gpc"] === "1";
+
+export function createEventLog(file) {
+  let queue = Promise.resolve();
+  return {
+    append(events) {
+      if (!events.length) return queue;
+      const lines = events.map((e) => JSON.stringify(e)).join("\n") + "\n";
+      const run = queue.then(async () => {
+        await mkdir(path.dirname(file), { recursive: true });
+        await appendFile(file, lines);
+      });
+      // Keep the chain alive even if one append fails.
+      queue = run.catch(() => {});
+      return run;
+    },
+  };
+}
@@ -0,0 +1,42 @@
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { createEventLog, normalizeEvents } from "./events.js";
+
+describe("normalizeEvents", () => {
+  const now = Date.parse("2026-01-01T12:00:00Z");
+
+  it("drops events whose fields have the wrong type instead of storing them", () => {
+    const events = normalizeEvents(
+      { events: [{ name: ["signup"] }, { name: 42 }, { name: "cta_click", path: ["/"], sid: { id: 1 }, ts: "1" }] },
+      now
+    );
+    expect(events).toEqual([{ name: "cta_click", props: {}, path: null, ts: now, sid: null, receivedAt: now }]);
+  });
+
+  it("keeps only string, finite number and boolean props with sane keys", () => {
+    const [event] = normalizeEvents({ events: [{ name: "x", props: { a: "b", n: 1, ok: true, bad: NaN, obj: {}, "1st": "y" } }] }, now);
+    expect(event.props).toEqual({ a: "b", n: 1, ok: true });
+  });
+});
+
+describe("createEventLog", () => {
+  let dir;
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "pp-events-"));
+  });
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it("reports a failed append to its caller and keeps appending after it", async () => {
+    const logDir = path.join(dir, "logs");
+    await writeFile(logDir, ""); // a file where the log's directory should be
+    const log = createEventLog(path.join(logDir, "events.ndjson"));
+    await expect(log.append([{ name: "lost" }])).rejects.toThrow();
+
+    await rm(logDir);
+    await log.append([{ name: "a" }]);
+    await log.append([{ name: "b" }]);
+    expect(await readFile(path.join(logDir, "events.ndjson"), "utf8")).toBe('{"name":"a"}\n{"name":"b"}\n');
+  });
+});
@@ -0,0 +1,74 @@
+// ---------------------
+// Tiny HTTP helpers shared by every API route
+// ---------------------
+
+/** Error that maps directly onto a JSON error response. */
+export class HttpError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+export async function readJson(req, limit = MAX_BODY_BYTES) {
+  // Vite / connect may already have parsed the body upstream.
+  if (req.body && typeof req.body === "object") return req.body;
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw new HttpError(413, "payload_too_large", "Request body is too large.");
+    chunks.push(chunk);
+  }
+  if (!size) return {};
+  try {
+    const parsed = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    throw new HttpError(400, "invalid_json", "Request body must be valid JSON.");
+  }
+}
+
+export function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+    "Cache-Control": "no-store",
+    ...headers,
+  });
+  res.end(payload);
+}
+
+/** Open a Server-Sent Events stream; returns `send(event, data)` and calls `onClose` on disconnect. */
+export function openEventStream(req, res, onClose) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+  req.on("close", onClose);
+  return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export function redirect(res, location, status = 303) {
+  res.writeHead(status, { Location: location, "Cache-Control": "no-store" });
+  res.end();
+}
+
+export function sendError(res, err) {
+  if (err instanceof HttpError) {
+    const headers = err.extra.retryAfter ? { "Retry-After": String(err.extra.retryAfter) } : {};
+    sendJson(res, err.status, { error: err.code, message: err.message, ...err.extra }, headers);
+    return;
+  }
+  console.error("[api]", err);
+  sendJson(res, 500, { error: "internal_error", message: "Something went wrong. Please try again." });
+}
@@ -0,0 +1,16 @@
+import http from "node:http";
+import { createApi } from "./api.js";
+import { loadConfig } from "./config.js";
+import { sendJson } from "./http.js";
+
+// Standalone API server: `npm run api`
+const config = loadConfig();
+const api = createApi(config);
+
+http
+  .createServer((req, res) => {
+    api(req, res, () => sendJson(res, 404, { error: "not_found", message: "Not found." }));
+  })
+  .listen(config.port, () => {
+    console.log(`[api] listening on http://localhost:${config.port}`);
+  });
@@ -0,0 +1,142 @@
+import { randomBytes } from "node:crypto";
+import { HttpError } from "./http.js";
+import { EMAIL_RE, WALLET_RE } from "./validation.js";
+
+// ---------------------
+// Influencer program: applications, review workflow, vanity ref codes and attribution stats
+// ---------------------
+export const INFLUENCER_STATUSES = ["pending", "approved", "rejected"];
+export const VANITY_CODE_RE = /^[a-z0-9_-]{3,20}$/;
+
+const invalid = (code, message) => new HttpError(400, code, message);
+
+/** Validate and normalize a raw application payload. */
+export function normalizeApplication(payload) {
+  const name = String(payload.name ?? "").trim();
+  if (name.length < 2 || name.length > 80) throw invalid("invalid_name", "Please enter your name (2–80 characters).");
+
+  const email = String(payload.email ?? "").trim().toLowerCase();
+  if (!EMAIL_RE.test(email) || email.length > 254) throw invalid("invalid_email", "Please enter a valid email address.");
+
+  const rawChannels = Array.isArray(payload.channels) ? payload.channels : String(payload.channels ?? "").split("\n");
+  const channels = rawChannels.map((c) => String(c).trim()).filter(Boolean);
+  if (!channels.length || channels.length > 10 || channels.some((c) => c.length > 200)) {
+    throw invalid("invalid_channels", "List 1–10 channels (links or @handles), one per line.");
+  }
+
+  const audienceSize = Number(payload.audienceSize);
+  if (!Number.isInteger(audienceSize) || audienceSize < 0 || audienceSize > 1e9) {
+    throw invalid("invalid_audience", "Audience size must be a whole number.");
+  }
+
+  const desiredCode = String(payload.desiredCode ?? "").trim().toLowerCase();
+  if (!VANITY_CODE_RE.test(desiredCode)) {
+    throw invalid("invalid_code", "Ref codes are 3–20 lowercase letters, numbers, dashes or underscores.");
+  }
+
+  const payoutWallet = String(payload.payoutWallet ?? "").trim().replace(/^@/, "");
+  if (!WALLET_RE.test(payoutWallet)) throw invalid("invalid_wallet", "Please enter the Pi wallet for payouts.");
+
+  return { name, email, channels, audienceSize, desiredCode, payoutWallet };
+}
+
+/** Every ref code in use: subscriber codes plus approved vanity codes. */
+export function takenCodes(db) {
+  return new Set([...db.subscribers.map((s) => s.code), ...db.influencers.filter((i) => i.code).map((i) => i.code)]);
+}
+
+function publicView(i) {
+  const { statsToken: _token, ...rest } = i;
+  return rest;
+}
+
+export function createInfluencerService({ store, mailer }) {
+  async function apply(payload) {
+    const app = normalizeApplication(payload);
+    const statsToken = randomBytes(24).toString("base64url");
+
+    const record = await store.update((db) => {
+      if (db.influencers.some((i) => i.email === app.email && i.status !== "rejected")) {
+        throw new HttpError(409, "already_applied", "An application with this email already exists.");
+      }
+      if (takenCodes(db).has(app.desiredCode)) {
+        throw new HttpError(409, "code_taken", "That ref code is already taken. Please pick another.");
+      }
+      const rec = {
+        id: randomBytes(8).toString("hex"),
+        ...app,
+        status: "pending",
+        code: null,
+        statsToken,
+        createdAt: new Date().toISOString(),
+        reviewedAt: null,
+      };
+      db.influencers.push(rec);
+      return rec;
+    });
+
+    await mailer.sendInfluencerReceived({ email: record.email, statsToken });
+    return { id: record.id, status: record.status, statsToken };
+  }
+
+  function list({ status } = {}) {
+    return store.read((db) =>
+      db.influencers
+        .filter((i) => !status || i.status === status)
+        .map((i) => ({ ...publicView(i), signups: attributed(db, i).total }))
+    );
+  }
+
+  /** Move an application to approved/rejected. Approval assigns the vanity code (`code` overrides the desired one). */
+  async function review(id, { status, code }) {
+    if (!INFLUENCER_STATUSES.includes(status)) throw invalid("invalid_status", "Unknown status.");
+
+    const rec = await store.update((db) => {
+      const i = db.influencers.find((x) => x.id === id);
+      if (!i) throw new HttpError(404, "not_found", "Application not found.");
+
+      if (status === "approved" && !i.code) {
+        const wanted = String(code || i.desiredCode).trim().toLowerCase();
+        if (!VANITY_CODE_RE.test(wanted)) throw invalid("invalid_code", "Invalid ref code.");
+        if (takenCodes(db).has(wanted)) throw new HttpError(409, "code_taken", `Ref code "${wanted}" is already taken.`);
+        i.code = wanted;
+      }
+      // Rejecting frees the code again; signups already attributed keep their link.
+      if (status !== "approved") i.code = null;
+      i.status = status;
+      i.reviewedAt = new Date().toISOString();
+      return { ...i };
+    });
+
+    if (status !== "pending") await mailer.sendInfluencerDecision({ email: rec.email, status, code: rec.code });
+    return publicView(rec);
+  }
+
+  /** Signups attributed to the influencer holding `token`, with a 14-day daily series. */
+  function stats(token) {
+    return store.read((db) => {
+      const i = token && db.influencers.find((x) => x.statsToken === token);
+      if (!i) throw new HttpError(404, "not_found", "Unknown stats link.");
+      return { name: i.name, status: i.status, code: i.code, ...attributed(db, i) };
+    });
+  }
+
+  /** Whether `code` belongs to an approved influencer. */
+  function isApprovedCode(code) {
+    return store.read((db) => db.influencers.some((i) => i.status === "approved" && i.code === code));
+  }
+
+  return { apply, list, review, stats, isApprovedCode };
+}
+
+function attributed(db, influencer) {
+  const signups = db.subscribers.filter((s) => s.referredByInfluencer === influencer.id);
+  const days = [];
+  const today = new Date();
+  for (let d = 13; d >= 0; d--) {
+    const day = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - d));
+    const key = day.toISOString().slice(0, 10);
+    days.push({ date: key, signups: signups.filter((s) => s.createdAt.startsWith(key)).length });
+  }
+  return { total: signups.length, confirmed: signups.filter((s) => s.confirmedAt).length, daily: days };
+}
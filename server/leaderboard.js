@@ -0,0 +1,71 @@
+import { maskEmail } from "./subscribers.js";
+
+// ---------------------
+// Public referral leaderboard: subscribers ranked by confirmed referrals.
+// The ranking is rebuilt at most once per `ttlMs`, so the page can poll it cheaply.
+// Only display names leave the server: a verified Pi username, else a masked email.
+// ---------------------
+
+/** `a***e@g***.com`: unlike maskEmail, the domain is hidden too since the board is public. */
+export function publicName(subscriber) {
+  if (subscriber.piUsername) return `@${subscriber.piUsername}`;
+  const [local, domain] = maskEmail(subscriber.email).split("@");
+  const dot = domain.lastIndexOf(".");
+  return `${local}@${domain[0]}***${dot > 0 ? domain.slice(dot) : ""}`;
+}
+
+/**
+ * Everyone with at least one confirmed referral, best first: more confirmed referrals, then more
+ * referrals overall, then earlier signup. Equal confirmed counts share a rank (1, 2, 2, 4).
+ */
+export function rankReferrers(subscribers) {
+  const counts = new Map();
+  for (const s of subscribers) {
+    if (!s.referredBy) continue;
+    const c = counts.get(s.referredBy) || { total: 0, confirmed: 0 };
+    c.total++;
+    if (s.confirmedAt) c.confirmed++;
+    counts.set(s.referredBy, c);
+  }
+  // Array#sort is stable, so ties keep signup order.
+  const rows = subscribers
+    .filter((s) => counts.get(s.id)?.confirmed > 0)
+    .map((s) => ({ code: s.code, name: publicName(s), ...counts.get(s.id) }))
+    .sort((a, b) => b.confirmed - a.confirmed || b.total - a.total);
+  let rank = 0;
+  return rows.map((r, i) => {
+    if (i === 0 || r.confirmed !== rows[i - 1].confirmed) rank = i + 1;
+    return { ...r, rank };
+  });
+}
+
+export function createLeaderboard({ store, ttlMs }) {
+  let cached = null; // { at, rows, byCode }
+
+  async function load() {
+    const now = Date.now();
+    if (cached && now - cached.at < ttlMs) return cached;
+    const rows = await store.read((db) => rankReferrers(db.subscribers));
+    cached = { at: now, rows, byCode: new Map(rows.map((r) => [r.code, r])) };
+    return cached;
+  }
+
+  /**
+   * Top `limit` referrers. With `code` (the visitor's own referral code) it adds
+   * `you: { rank, confirmed }`, where rank is null until their first confirmed referral.
+   */
+  async function top({ limit, code }) {
+    const { at, rows, byCode } = await load();
+    const body = {
+      leaders: rows.slice(0, limit).map(({ rank, name, confirmed, total }) => ({ rank, name, confirmed, total })),
+      updatedAt: new Date(at).toISOString(),
+    };
+    if (code) {
+      const own = byCode.get(code.toLowerCase());
+      body.you = { rank: own?.rank ?? null, confirmed: own?.confirmed ?? 0 };
+    }
+    return body;
+  }
+
+  return { top };
+}
@@ -0,0 +1,110 @@
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// ---------------------
+// Pluggable mailer
+// A transport is any object with `send({ to, subject, text })`.
+// ---------------------
+export function consoleTransport() {
+  return {
+    async send(msg) {
+      console.log(`\n[mail] To: ${msg.to}\n[mail] Subject: ${msg.subject}\n${msg.text}\n`);
+    },
+  };
+}
+
+export function fileTransport(dir) {
+  return {
+    async send(msg) {
+      await mkdir(dir, { recursive: true });
+      const safeTo = msg.to.replace(/[^a-z0-9@._-]/gi, "_");
+      const file = path.join(dir, `${Date.now()}-${safeTo}.eml`);
+      const eml = [`From: ${msg.from}`, `To: ${msg.to}`, `Subject: ${msg.subject}`, "", msg.text, ""].join("\n");
+      await writeFile(file, eml);
+      console.log(`[mail] wrote ${file}`);
+    },
+  };
+}
+
+export function createTransport(config) {
+  return config.mailTransport === "file" ? fileTransport(config.mailDir) : consoleTransport();
+}
+
+export function createMailer({ transport, from, publicUrl }) {
+  return {
+    sendConfirmation({ email, token }) {
+      const link = `${publicUrl}/api/confirm?token=${encodeURIComponent(token)}`;
+      return transport.send({
+        from,
+        to: email,
+        subject: "Confirm your spot on the PredictPix waitlist",
+        text: [
+          "Thanks for joining the PredictPix beta waitlist!",
+          "",
+          "Please confirm your email address by opening the link below:",
+          link,
+          "",
+          "If you didn't sign up, you can ignore this message.",
+        ].join("\n"),
+      });
+    },
+    sendPiLink({ email, username, token }) {
+      return transport.send({
+        from,
+        to: email,
+        subject: "Link your Pi account to PredictPix",
+        text: [
+          `The Pi account @${username} asked to be linked to your spot on the PredictPix waitlist.`,
+          "",
+          "If that was you, open this link within an hour to confirm:",
+          `${publicUrl}/api/auth/pi/link?token=${encodeURIComponent(token)}`,
+          "",
+          "If it wasn't, ignore this message and nothing will change.",
+        ].join("\n"),
+      });
+    },
+    sendInvite({ email, wave, foundingPredictor }) {
+      return transport.send({
+        from,
+        to: email,
+        subject: `You're in: PredictPix closed beta, wave ${wave}`,
+        text: [
+          `Good news! You've been invited to wave ${wave} of the PredictPix closed beta.`,
+          foundingPredictor ? "\nAs one of our first verified beta users, you've earned the Founding Predictor badge." : null,
+          "",
+          "Sign in with your Pi account to get started:",
+          `${publicUrl}/login?next=/app`,
+        ]
+          .filter((line) => line !== null)
+          .join("\n"),
+      });
+    },
+    sendInfluencerReceived({ email, statsToken }) {
+      return transport.send({
+        from,
+        to: email,
+        subject: "We received your PredictPix influencer application",
+        text: [
+          "Thanks for applying to the PredictPix influencer program! We'll review your application shortly.",
+          "",
+          "Keep this private link to check your status and the signups you bring in:",
+          `${publicUrl}/influencers?token=${encodeURIComponent(statsToken)}`,
+        ].join("\n"),
+      });
+    },
+    sendInfluencerDecision({ email, status, code }) {
+      const approved = status === "approved";
+      return transport.send({
+        from,
+        to: email,
+        subject: approved ? "You're a PredictPix influencer!" : "Your PredictPix influencer application",
+        text: approved
+          ? [
+              "Your application was approved. Share your personal link to earn a share of trading fees from the users you refer:",
+              `${publicUrl}/?ref=${encodeURIComponent(code)}`,
+            ].join("\n")
+          : "Thanks for your interest. We can't accept your application right now, but you're welcome to apply again later.",
+      });
+    },
+  };
+}
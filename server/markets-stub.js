@@ -0,0 +1,111 @@
+// ---------------------
+// Stub featured-markets feed for offline dev/demo.
+// Each market's 30-day YES price history is a seeded random walk ending at its current price,
+// so the data is stable across restarts while closing dates stay in the future.
+// ---------------------
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_DAYS = 30;
+
+const SEED_MARKETS = [
+  {
+    id: "pi-mainnet-dex-2027",
+    question: "Will a Pi-native DEX pass 1M Pi daily volume before July 2027?",
+    resolution: "Resolves YES if any DEX on Pi Mainnet reports more than 1,000,000 Pi traded in a single UTC day before July 1, 2027.",
+    category: "Crypto",
+    yes: 0.62,
+    volumePi: 18420,
+    closesInDays: 240,
+  },
+  {
+    id: "rugby-world-cup-2027-close-final",
+    question: "Will the 2027 Rugby World Cup final be decided by 7 points or fewer?",
+    resolution: "Resolves YES if the winning margin in the 2027 Men's Rugby World Cup final, including extra time, is 7 points or fewer.",
+    category: "Sports",
+    yes: 0.41,
+    volumePi: 9310,
+    closesInDays: 390,
+  },
+  {
+    id: "btc-150k-2026",
+    question: "Will Bitcoin close above $150,000 on any day in 2026?",
+    resolution: "Resolves YES if BTC/USD closes above $150,000 on CoinGecko on any day before January 1, 2027 (UTC).",
+    category: "Crypto",
+    yes: 0.34,
+    volumePi: 25760,
+    closesInDays: 73,
+  },
+  {
+    id: "ai-model-imo-gold",
+    question: "Will an open-weights AI model score gold at the next Math Olympiad?",
+    resolution: "Resolves YES if a publicly downloadable model is officially graded at gold-medal level on the next IMO problem set.",
+    category: "Tech",
+    yes: 0.47,
+    volumePi: 6180,
+    closesInDays: 270,
+  },
+  {
+    id: "global-temp-record-2026",
+    question: "Will 2026 be the warmest year on record?",
+    resolution: "Resolves YES if NASA GISS ranks 2026 as the warmest calendar year in its global temperature record.",
+    category: "Climate",
+    yes: 0.71,
+    volumePi: 4890,
+    closesInDays: 120,
+  },
+  {
+    id: "pi-kyc-20m",
+    question: "Will 20M Pioneers complete KYC by the end of 2026?",
+    resolution: "Resolves YES if Pi Network officially reports at least 20 million KYC-verified Pioneers on or before December 31, 2026.",
+    category: "Pi Network",
+    yes: 0.55,
+    volumePi: 13050,
+    closesInDays: 73,
+  },
+];
+
+// mulberry32: tiny deterministic PRNG so each market's history is the same on every run.
+function seededRandom(seed) {
+  let a = [...seed].reduce((h, c) => Math.imul(h ^ c.charCodeAt(0), 2654435761), 1) >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const clampPrice = (p) => Math.min(0.97, Math.max(0.03, p));
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Walks backwards from today's price, so the last point always matches `yes`. */
+function priceHistory(market, now) {
+  const rand = seededRandom(market.id);
+  const today = Math.floor(now / DAY_MS) * DAY_MS;
+  const points = [];
+  let price = market.yes;
+  for (let i = 0; i < HISTORY_DAYS; i++) {
+    points.unshift({ t: new Date(today - i * DAY_MS).toISOString(), yes: round2(price) });
+    price = clampPrice(price + (rand() - 0.5) * 0.08);
+  }
+  return points;
+}
+
+export function createStubMarkets() {
+  return {
+    /** Featured markets, highest volume first. */
+    featured({ limit = SEED_MARKETS.length, now = Date.now() } = {}) {
+      const today = Math.floor(now / DAY_MS) * DAY_MS;
+      const markets = [...SEED_MARKETS]
+        .sort((a, b) => b.volumePi - a.volumePi)
+        .slice(0, limit)
+        .map(({ yes, closesInDays, ...m }) => ({
+          ...m,
+          yesPrice: yes,
+          noPrice: round2(1 - yes),
+          closesAt: new Date(today + closesInDays * DAY_MS).toISOString(),
+          history: priceHistory({ ...m, yes }, now),
+        }));
+      return { markets, updatedAt: new Date(now).toISOString() };
+    },
+  };
+}
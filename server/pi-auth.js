@@ -0,0 +1,36 @@
+import { HttpError } from "./http.js";
+
+// ---------------------
+// Pi Network access-token verification
+// - "api": asks the Pi Platform API who the token belongs to (GET /v2/me)
+// - "mock": accepts tokens minted by the client mock adapter ("mock:<uid>:<username>")
+// ---------------------
+const invalidToken = () => new HttpError(401, "invalid_pi_token", "Pi login could not be verified. Please try again.");
+
+export function createPiVerifier({ mode, apiUrl }) {
+  if (mode === "mock") {
+    return {
+      async verify(accessToken) {
+        const m = /^mock:([\w-]{1,64}):([\w.-]{1,64})$/.exec(accessToken || "");
+        if (!m) throw invalidToken();
+        return { uid: m[1], username: m[2] };
+      },
+    };
+  }
+
+  return {
+    async verify(accessToken) {
+      if (!accessToken) throw invalidToken();
+      let res;
+      try {
+        res = await fetch(`${apiUrl}/v2/me`, { headers: { Authorization: `Bearer ${accessToken}` } });
+      } catch {
+        throw new HttpError(502, "pi_unreachable", "Pi Network is unreachable right now. Please try again.");
+      }
+      if (!res.ok) throw invalidToken();
+      const me = await res.json();
+      if (!me?.uid || !me?.username) throw invalidToken();
+      return { uid: me.uid, username: me.username };
+    },
+  };
+}
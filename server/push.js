@@ -0,0 +1,57 @@
+import { randomBytes } from "node:crypto";
+import { HttpError } from "./http.js";
+
+// ---------------------
+// "Remind me at launch": Web Push subscriptions from the landing page.
+// Notifications are sent by scripts/send-launch-push.js, not by the API.
+// ---------------------
+const KEY_RE = /^[A-Za-z0-9_-]+$/;
+const LOCALE_RE = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+const invalid = () => new HttpError(400, "invalid_subscription", "That push subscription isn't valid.");
+
+/** Validate a browser PushSubscription (its toJSON() form) plus the visitor's locale. */
+export function normalizeSubscription(payload) {
+  const { endpoint, keys } = payload?.subscription ?? {};
+  let url;
+  try {
+    url = new URL(String(endpoint ?? ""));
+  } catch {
+    throw invalid();
+  }
+  if (url.protocol !== "https:" || url.href.length > 1024) throw invalid();
+  const p256dh = String(keys?.p256dh ?? "");
+  const auth = String(keys?.auth ?? "");
+  // 65-byte uncompressed P-256 point and 16-byte auth secret, base64url without padding.
+  if (p256dh.length !== 87 || auth.length !== 22 || !KEY_RE.test(p256dh) || !KEY_RE.test(auth)) throw invalid();
+
+  const locale = String(payload.locale ?? "");
+  return { endpoint: url.href, keys: { p256dh, auth }, locale: LOCALE_RE.test(locale) ? locale : null };
+}
+
+export function createPushService({ store }) {
+  /** Adds a subscription, or refreshes the keys/locale of one already stored for the endpoint. */
+  async function subscribe(payload) {
+    const sub = normalizeSubscription(payload);
+    return store.update((db) => {
+      const existing = db.pushSubscriptions.find((s) => s.endpoint === sub.endpoint);
+      if (existing) {
+        Object.assign(existing, sub);
+        return { id: existing.id };
+      }
+      const rec = { id: randomBytes(8).toString("hex"), ...sub, createdAt: new Date().toISOString() };
+      db.pushSubscriptions.push(rec);
+      return { id: rec.id };
+    });
+  }
+
+  function unsubscribe(endpoint) {
+    return store.update((db) => {
+      const before = db.pushSubscriptions.length;
+      db.pushSubscriptions = db.pushSubscriptions.filter((s) => s.endpoint !== endpoint);
+      return { removed: before - db.pushSubscriptions.length };
+    });
+  }
+
+  return { subscribe, unsubscribe };
+}
@@ -0,0 +1,86 @@
+import { randomInt } from "node:crypto";
+
+// ---------------------
+// Referral codes, referrer resolution and waitlist ordering
+// ---------------------
+const CODE_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789"; // no 0/o/1/l/i look-alikes
+const CODE_LENGTH = 7;
+
+export function generateCode(taken) {
+  for (;;) {
+    let code = "";
+    for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+    if (!taken.has(code)) return code;
+  }
+}
+
+/** Collapse aliases of one mailbox (`+tags`, Gmail dots) so they count as the same person. */
+export function canonicalEmail(email) {
+  let [local, domain] = email.split("@");
+  local = local.split("+")[0];
+  if (domain === "gmail.com" || domain === "googlemail.com") {
+    local = local.replace(/\./g, "");
+    domain = "gmail.com";
+  }
+  return `${local}@${domain}`;
+}
+
+/**
+ * Decide who (if anyone) gets credit for a new signup: a subscriber's code or an approved
+ * influencer's vanity code.
+ * Returns `{ referrer, influencer, refStatus }` where refStatus is null (no ref), "applied", "unknown" or "self".
+ */
+export function resolveReferrer(subscribers, signup, influencers = []) {
+  const none = { referrer: null, influencer: null };
+  if (!signup.ref) return { ...none, refStatus: null };
+
+  const code = signup.ref.toLowerCase();
+  const referrer = subscribers.find((s) => s.code === code);
+  const influencer = !referrer && influencers.find((i) => i.status === "approved" && i.code === code);
+  const owner = referrer || influencer;
+  if (!owner) return { ...none, refStatus: "unknown" };
+
+  const ownerWallet = referrer ? referrer.wallet : influencer.payoutWallet;
+  const sameMailbox = canonicalEmail(owner.email) === canonicalEmail(signup.email);
+  const sameWallet = !!signup.wallet && ownerWallet?.toLowerCase() === signup.wallet.toLowerCase();
+  if (sameMailbox || sameWallet) return { ...none, refStatus: "self" };
+
+  return { referrer: referrer || null, influencer: influencer || null, refStatus: "applied" };
+}
+
+export function countReferrals(subscribers, id) {
+  let total = 0;
+  let confirmed = 0;
+  for (const s of subscribers) {
+    if (s.referredBy !== id) continue;
+    total++;
+    if (s.confirmedAt) confirmed++;
+  }
+  return { total, confirmed };
+}
+
+/**
+ * Waitlist position = signup order, moved up `boost` places per confirmed referral.
+ * Returns a Map of subscriber id -> 1-based position.
+ */
+export function computePositions(subscribers, boost) {
+  const confirmedRefs = new Map();
+  for (const s of subscribers) {
+    if (s.referredBy && s.confirmedAt) confirmedRefs.set(s.referredBy, (confirmedRefs.get(s.referredBy) || 0) + 1);
+  }
+  // Array#sort is stable, so ties keep signup order.
+  const ranked = subscribers
+    .map((s, i) => ({ id: s.id, score: i - boost * (confirmedRefs.get(s.id) || 0) }))
+    .sort((a, b) => a.score - b.score);
+  return new Map(ranked.map((r, i) => [r.id, i + 1]));
+}
+
+/** Public view of one subscriber's referral standing. */
+export function referralStatus(subscribers, subscriber, boost) {
+  return {
+    code: subscriber.code,
+    position: computePositions(subscribers, boost).get(subscriber.id),
+    total: subscribers.length,
+    referrals: countReferrals(subscribers, subscriber.id),
+  };
+}
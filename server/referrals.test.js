@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { canonicalEmail, computePositions, countReferrals, resolveReferrer } from "./referrals.js";
+
+const sub = (id, extra = {}) => ({ id, code: `code${id}`, email: `${id}@example.com`, wallet: null, ...extra });
+
+describe("canonicalEmail", () => {
+  it("drops +tags on any domain", () => {
+    expect(canonicalEmail("jane+promo@example.com")).toBe("jane@example.com");
+  });
+
+  it("ignores dots and the googlemail domain for Gmail only", () => {
+    expect(canonicalEmail("jane.doe+1@googlemail.com")).toBe("janedoe@gmail.com");
+    expect(canonicalEmail("jane.doe@example.com")).toBe("jane.doe@example.com");
+  });
+});
+
+describe("resolveReferrer", () => {
+  const owner = sub("a", { email: "jane.doe@gmail.com", wallet: "JaneDoe" });
+  const influencers = [
+    { id: "i1", code: "creator", status: "approved", email: "c@example.com", payoutWallet: "creator_pi" },
+    { id: "i2", code: "pending", status: "pending", email: "p@example.com" },
+  ];
+  const resolve = (signup) => resolveReferrer([owner], { email: "new@example.com", wallet: null, ...signup }, influencers);
+
+  it("credits a subscriber's code, case-insensitively", () => {
+    expect(resolve({ ref: "CODEA" })).toEqual({ referrer: owner, influencer: null, refStatus: "applied" });
+  });
+
+  it("credits an approved influencer's vanity code only", () => {
+    expect(resolve({ ref: "creator" })).toMatchObject({ referrer: null, influencer: { id: "i1" }, refStatus: "applied" });
+    expect(resolve({ ref: "pending" })).toMatchObject({ influencer: null, refStatus: "unknown" });
+  });
+
+  it("reports no ref and unknown codes without crediting anyone", () => {
+    expect(resolve({ ref: null })).toEqual({ referrer: null, influencer: null, refStatus: null });
+    expect(resolve({ ref: "nobody" })).toEqual({ referrer: null, influencer: null, refStatus: "unknown" });
+  });
+
+  it("treats an alias of the owner's mailbox as a self-referral", () => {
+    expect(resolve({ ref: "codea", email: "janedoe+2@googlemail.com" })).toMatchObject({ referrer: null, refStatus: "self" });
+  });
+
+  it("treats the owner's wallet as a self-referral, ignoring case", () => {
+    expect(resolve({ ref: "codea", wallet: "janedoe" })).toMatchObject({ referrer: null, refStatus: "self" });
+    expect(resolve({ ref: "creator", wallet: "Creator_Pi" })).toMatchObject({ influencer: null, refStatus: "self" });
+  });
+});
+
+describe("computePositions", () => {
+  it("orders by signup when nobody has referrals", () => {
+    const positions = computePositions([sub("a"), sub("b"), sub("c")], 5);
+    expect([...positions]).toEqual([["a", 1], ["b", 2], ["c", 3]]);
+  });
+
+  it("moves a subscriber up `boost` places per confirmed referral only", () => {
+    const subscribers = [
+      sub("a"),
+      sub("b"),
+      sub("c"),
+      sub("d", { referredBy: "c", confirmedAt: "2026-01-01T00:00:00Z" }),
+      sub("e", { referredBy: "c", confirmedAt: null }),
+    ];
+    // c: index 2 - 2 = 0 ties with a (index 0) and keeps signup order behind it.
+    expect([...computePositions(subscribers, 2)]).toEqual([["a", 1], ["c", 2], ["b", 3], ["d", 4], ["e", 5]]);
+    expect(countReferrals(subscribers, "c")).toEqual({ total: 2, confirmed: 1 });
+  });
+});
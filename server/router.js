@@ -0,0 +1,68 @@
+import { safeDecode } from "../src/lib/safeDecode.js";
+import { HttpError, sendError } from "./http.js";
+
+// ---------------------
+// Minimal method + path router usable as connect middleware
+// ---------------------
+function compile(pattern) {
+  const keys = [];
+  const source = pattern
+    .split("/")
+    .map((part) => {
+      if (!part.startsWith(":")) return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      keys.push(part.slice(1));
+      return "([^/]+)";
+    })
+    .join("/");
+  return { keys, regex: new RegExp(`^${source}/?$`) };
+}
+
+function decodeParam(value) {
+  const decoded = safeDecode(value);
+  if (decoded === null) throw new HttpError(400, "bad_request", "Malformed URL.");
+  return decoded;
+}
+
+export function createRouter() {
+  const routes = [];
+
+  function add(method, pattern, handler) {
+    routes.push({ method, handler, ...compile(pattern) });
+  }
+
+  async function handle(req, res, next) {
+    const url = new URL(req.url, "http://localhost");
+    let pathMatched = false;
+
+    for (const route of routes) {
+      const m = route.regex.exec(url.pathname);
+      if (!m) continue;
+      pathMatched = true;
+      if (route.method !== req.method) continue;
+
+      try {
+        const params = {};
+        route.keys.forEach((k, i) => (params[k] = decodeParam(m[i + 1])));
+        await route.handler({ req, res, url, params });
+      } catch (err) {
+        sendError(res, err);
+      }
+      return;
+    }
+
+    if (pathMatched) {
+      res.writeHead(405, { "Content-Type": "application/json; charset=utf-8" });
+      res.end(JSON.stringify({ error: "method_not_allowed", message: "Method not allowed." }));
+      return;
+    }
+    next();
+  }
+
+  return {
+    get: (p, h) => add("GET", p, h),
+    post: (p, h) => add("POST", p, h),
+    patch: (p, h) => add("PATCH", p, h),
+    delete: (p, h) => add("DELETE", p, h),
+    handle,
+  };
+}
@@ -0,0 +1,55 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { safeDecode } from "../src/lib/safeDecode.js";
+
+// ---------------------
+// Stateless signed-cookie sessions (HMAC-SHA256)
+// ---------------------
+
+// Other cookies on the domain aren't ours to validate: one that doesn't decode is skipped.
+function parseCookies(header = "") {
+  const out = {};
+  for (const part of header.split(";")) {
+    const i = part.indexOf("=");
+    if (i <= 0) continue;
+    const value = safeDecode(part.slice(i + 1).trim());
+    if (value !== null) out[part.slice(0, i).trim()] = value;
+  }
+  return out;
+}
+
+export function createSessions({ secret, cookieName = "pp_session", maxAgeDays = 30, secure = false }) {
+  const maxAge = maxAgeDays * 24 * 3600;
+  // The cookie name is part of the MAC so one kind of session can't be replayed as another.
+  const sign = (data) => createHmac("sha256", secret).update(`${cookieName}.${data}`).digest("base64url");
+
+  function cookie(value, age) {
+    return [`${cookieName}=${value}`, "Path=/", "HttpOnly", "SameSite=Lax", `Max-Age=${age}`, secure && "Secure"]
+      .filter(Boolean)
+      .join("; ");
+  }
+
+  return {
+    read(req) {
+      const raw = parseCookies(req.headers.cookie)[cookieName];
+      if (!raw) return null;
+      const [data, sig] = raw.split(".");
+      if (!data || !sig) return null;
+      const expected = Buffer.from(sign(data));
+      const given = Buffer.from(sig);
+      if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+      try {
+        const session = JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+        return session.exp > Date.now() ? session : null;
+      } catch {
+        return null;
+      }
+    },
+    set(res, payload) {
+      const data = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + maxAge * 1000 })).toString("base64url");
+      res.setHeader("Set-Cookie", cookie(`${data}.${sign(data)}`, maxAge));
+    },
+    clear(res) {
+      res.setHeader("Set-Cookie", cookie("", 0));
+    },
+  };
+}
@@ -0,0 +1,27 @@
+// ---------------------
+// Stub stats feed for offline dev/demo.
+// Numbers random-walk upward from the original hardcoded snapshot; the state is
+// advanced lazily by elapsed ticks, so no timers are needed.
+// ---------------------
+const randInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+
+export function createStubStats({ tickMs = 5000 } = {}) {
+  const state = { activeMarkets: 128, totalTraders: 2391, volume24hPi: 12540, marketsResolved: 76 };
+  let lastTick = Date.now();
+
+  function tick() {
+    state.totalTraders += randInt(0, 4);
+    state.volume24hPi = Math.max(0, state.volume24hPi + randInt(-60, 240));
+    if (Math.random() < 0.3) state.activeMarkets += randInt(-1, 2);
+    if (Math.random() < 0.15) state.marketsResolved += 1;
+  }
+
+  return {
+    snapshot() {
+      const ticks = Math.min(100, Math.floor((Date.now() - lastTick) / tickMs));
+      for (let i = 0; i < ticks; i++) tick();
+      if (ticks) lastTick = Date.now();
+      return { ...state, updatedAt: new Date().toISOString() };
+    },
+  };
+}
@@ -0,0 +1,55 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// ---------------------
+// File-backed JSON database
+// - Whole document lives in memory, persisted after every update
+// - Writes are serialized and atomic (tmp file + rename)
+// ---------------------
+export function createStore(file, defaults = {}) {
+  let data = null;
+  let queue = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(await readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      data = {};
+    }
+    for (const [key, value] of Object.entries(defaults)) {
+      if (!(key in data)) data[key] = structuredClone(value);
+    }
+    return data;
+  }
+
+  async function persist() {
+    await mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(data, null, 2));
+    await rename(tmp, file);
+  }
+
+  function enqueue(task) {
+    const run = queue.then(task);
+    // Keep the chain alive even if one task fails.
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    /** Read-only access; `fn` receives the live document and must not mutate it. */
+    read(fn) {
+      return enqueue(async () => fn(await load()));
+    },
+    /** Mutate the document inside `fn`; it is written to disk once `fn` resolves. */
+    update(fn) {
+      return enqueue(async () => {
+        const result = await fn(await load());
+        await persist();
+        return result;
+      });
+    },
+  };
+}
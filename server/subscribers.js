@@ -0,0 +1,198 @@
+import { createHash, randomBytes } from "node:crypto";
+import { HttpError } from "./http.js";
+import { EMAIL_RE, REF_RE, WALLET_RE } from "./validation.js";
+import { canonicalEmail, generateCode, referralStatus, resolveReferrer } from "./referrals.js";
+import { takenCodes } from "./influencers.js";
+
+// ---------------------
+// Waitlist signups: validation, storage and double opt-in
+// ---------------------
+
+/** "alice@example.com" -> "a***e@example.com" */
+export function maskEmail(email) {
+  const [local, domain] = email.split("@");
+  const head = local[0];
+  const tail = local.length > 2 ? local[local.length - 1] : "";
+  return `${head}***${tail}@${domain}`;
+}
+
+const PI_LINK_TTL_MS = 60 * 60 * 1000;
+
+export const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+
+const UTM_KEYS = ["source", "medium", "campaign", "term", "content"];
+
+/** `{ source, medium, ... }` from the landing URL's utm_* params; null when none were set. */
+function normalizeUtm(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const utm = {};
+  for (const key of UTM_KEYS) {
+    const value = typeof raw[key] === "string" ? raw[key].replace(/\p{Cc}/gu, "").trim().slice(0, 100) : "";
+    if (value) utm[key] = value;
+  }
+  return Object.keys(utm).length ? utm : null;
+}
+
+const EXPERIMENT_ID_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+/** `{ experiment: variant }` A/B assignments (src/config/experiments.json); null when none. */
+function normalizeExperiments(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+  const entries = Object.entries(raw)
+    .filter(([id, variant]) => EXPERIMENT_ID_RE.test(id) && typeof variant === "string" && EXPERIMENT_ID_RE.test(variant))
+    .slice(0, 10);
+  return entries.length ? Object.fromEntries(entries) : null;
+}
+
+/** Validate and normalize a raw `{ email, wallet, ref, utm, experiments }` payload. */
+export function normalizeSignup(payload) {
+  const email = String(payload.email ?? "").trim().toLowerCase();
+  if (!email || email.length > 254 || !EMAIL_RE.test(email)) {
+    throw new HttpError(400, "invalid_email", "Please enter a valid email address.");
+  }
+
+  const wallet = String(payload.wallet ?? "").trim().replace(/^@/, "");
+  if (wallet && !WALLET_RE.test(wallet)) {
+    throw new HttpError(400, "invalid_wallet", "Pi wallet must be 2–64 letters, numbers, dots, dashes or underscores.");
+  }
+
+  // A malformed ?ref= is the link's fault, not the user's: drop it instead of failing the signup.
+  const ref = String(payload.ref ?? "").trim();
+
+  return {
+    email,
+    wallet: wallet || null,
+    ref: REF_RE.test(ref) ? ref : null,
+    utm: normalizeUtm(payload.utm),
+    experiments: normalizeExperiments(payload.experiments),
+  };
+}
+
+export function createSubscriberService({ store, mailer, confirmTtlHours, confirmResendMinutes, referralBoost }) {
+  async function subscribe(payload) {
+    const signup = normalizeSignup(payload);
+    const token = randomBytes(24).toString("base64url");
+    const now = new Date();
+
+    const confirmExpiresAt = new Date(now.getTime() + confirmTtlHours * 3600 * 1000).toISOString();
+
+    const { subscriber, refStatus, standing } = await store.update((db) => {
+      // `+tags` and Gmail dots reach the same inbox, so they can't farm referrals as new signups.
+      const mailbox = canonicalEmail(signup.email);
+      const existing = db.subscribers.find((s) => canonicalEmail(s.email) === mailbox);
+      if (existing?.confirmedAt) {
+        throw new HttpError(409, "already_subscribed", "This email is already on the waitlist.");
+      }
+      // Never confirmed (the mail failed, got lost or its link expired): signing up again resends it
+      // with a fresh token, at most once per `confirmResendMinutes`. Anyone can type the address, so
+      // the response says nothing about the original signup.
+      if (existing) {
+        const lastSent = Date.parse(existing.confirmSentAt ?? existing.createdAt);
+        if (now.getTime() - lastSent < confirmResendMinutes * 60 * 1000) return { subscriber: null, refStatus: null };
+        existing.confirmTokenHash = hashToken(token);
+        existing.confirmExpiresAt = confirmExpiresAt;
+        existing.confirmSentAt = now.toISOString();
+        return { subscriber: existing, refStatus: null };
+      }
+      const { referrer, influencer, refStatus } = resolveReferrer(db.subscribers, signup, db.influencers);
+      const record = {
+        id: randomBytes(8).toString("hex"),
+        ...signup,
+        code: generateCode(takenCodes(db)),
+        referredBy: referrer?.id ?? null,
+        referredByInfluencer: influencer?.id ?? null,
+        createdAt: now.toISOString(),
+        confirmedAt: null,
+        confirmTokenHash: hashToken(token),
+        confirmExpiresAt,
+        confirmSentAt: now.toISOString(),
+      };
+      db.subscribers.push(record);
+      return { subscriber: record, refStatus, standing: referralStatus(db.subscribers, record, referralBoost) };
+    });
+
+    if (subscriber) await mailer.sendConfirmation({ email: subscriber.email, token });
+    return { ...standing, refStatus };
+  }
+
+  /** Position and referral counts for a referral code, or null if it doesn't exist. */
+  function status(code) {
+    return store.read((db) => {
+      const s = db.subscribers.find((x) => x.code === String(code).toLowerCase());
+      return s ? referralStatus(db.subscribers, s, referralBoost) : null;
+    });
+  }
+
+  /** Returns the confirmed subscriber, or null when the token is unknown or expired. */
+  function confirm(token) {
+    if (!token) return Promise.resolve(null);
+    const tokenHash = hashToken(token);
+    return store.update((db) => {
+      const s = db.subscribers.find((x) => x.confirmTokenHash === tokenHash);
+      if (!s || Date.parse(s.confirmExpiresAt) < Date.now()) return null;
+      s.confirmedAt = new Date().toISOString();
+      s.confirmTokenHash = null;
+      s.confirmExpiresAt = null;
+      return s;
+    });
+  }
+
+  /**
+   * The waitlist signup already linked to a verified Pi user (keeping its username current), or null.
+   * A typed wallet proves nothing, so new links only happen through `requestPiLink`.
+   */
+  function linkPiUser({ uid, username }) {
+    return store.update((db) => {
+      const s = db.subscribers.find((x) => x.piUid === uid);
+      if (!s) return null;
+      s.piUsername = username;
+      return s;
+    });
+  }
+
+  /**
+   * Linking by email needs proof the Pi user owns the inbox: email the signup a one-time link
+   * (`confirmPiLink`). Does nothing when there is no unlinked signup for `email`, so the
+   * response can't be used to probe who is on the waitlist.
+   */
+  async function requestPiLink({ uid, username }, email) {
+    const wanted = String(email ?? "").trim().toLowerCase();
+    if (!wanted || wanted.length > 254 || !EMAIL_RE.test(wanted)) {
+      throw new HttpError(400, "invalid_email", "Please enter a valid email address.");
+    }
+    const name = username.toLowerCase();
+    const token = randomBytes(24).toString("base64url");
+    const mailbox = canonicalEmail(wanted);
+    const target = await store.update((db) => {
+      const s = db.subscribers.find(
+        (x) => !x.piUid && canonicalEmail(x.email) === mailbox && (!x.wallet || x.wallet.toLowerCase() === name)
+      );
+      if (!s) return null;
+      s.piLinkUid = uid;
+      s.piLinkUsername = username;
+      s.piLinkTokenHash = hashToken(token);
+      s.piLinkExpiresAt = new Date(Date.now() + PI_LINK_TTL_MS).toISOString();
+      return s;
+    });
+    if (target) await mailer.sendPiLink({ email: target.email, username, token });
+  }
+
+  /** Completes `requestPiLink`. Returns the linked subscriber, or null when the token is unknown or expired. */
+  function confirmPiLink(token) {
+    if (!token) return Promise.resolve(null);
+    const tokenHash = hashToken(token);
+    return store.update((db) => {
+      const s = db.subscribers.find((x) => x.piLinkTokenHash === tokenHash);
+      if (!s) return null;
+      const { piLinkUid: uid, piLinkUsername: username, piLinkExpiresAt } = s;
+      s.piLinkUid = s.piLinkUsername = s.piLinkTokenHash = s.piLinkExpiresAt = null;
+      if (Date.parse(piLinkExpiresAt) < Date.now() || s.piUid || db.subscribers.some((x) => x.piUid === uid)) return null;
+      s.piUid = uid;
+      s.piUsername = username;
+      s.wallet ||= username;
+      return s;
+    });
+  }
+
+  return { subscribe, confirm, status, linkPiUser, requestPiLink, confirmPiLink };
+}
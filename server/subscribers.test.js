@@ -0,0 +1,51 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createSubscriberService } from "./subscribers.js";
+
+const memoryStore = (db) => ({ read: async (fn) => fn(db), update: async (fn) => fn(db) });
+
+function setup() {
+  const db = { subscribers: [], influencers: [] };
+  const sent = [];
+  const mailer = { sendConfirmation: async (mail) => sent.push(mail) };
+  const service = createSubscriberService({ store: memoryStore(db), mailer, confirmTtlHours: 72, confirmResendMinutes: 10, referralBoost: 5 });
+  return { db, sent, service };
+}
+
+describe("subscribe with an unconfirmed email", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-01-01T12:00:00Z"));
+  });
+  afterEach(() => vi.useRealTimers());
+
+  it("returns neither the original code nor its standing", async () => {
+    const { service } = setup();
+    const first = await service.subscribe({ email: "jane.doe@gmail.com" });
+    expect(first.code).toMatch(/\w/);
+    vi.advanceTimersByTime(11 * 60 * 1000);
+    expect(await service.subscribe({ email: "janedoe+again@gmail.com" })).toEqual({ refStatus: null });
+  });
+
+  it("resends the confirmation with a fresh token, at most once per cooldown", async () => {
+    const { db, sent, service } = setup();
+    await service.subscribe({ email: "jane.doe@gmail.com" });
+    await service.subscribe({ email: "jane.doe@gmail.com" });
+    expect(sent).toHaveLength(1);
+
+    vi.advanceTimersByTime(10 * 60 * 1000);
+    await service.subscribe({ email: "JaneDoe@googlemail.com" });
+    await service.subscribe({ email: "jane.doe@gmail.com" });
+    expect(sent.map((m) => m.email)).toEqual(["jane.doe@gmail.com", "jane.doe@gmail.com"]);
+    expect(db.subscribers).toHaveLength(1);
+
+    expect(await service.confirm(sent[0].token)).toBeNull();
+    expect((await service.confirm(sent[1].token)).confirmedAt).toBeTruthy();
+  });
+
+  it("keeps answering 409 once the email is confirmed", async () => {
+    const { sent, service } = setup();
+    await service.subscribe({ email: "jane@example.com" });
+    await service.confirm(sent[0].token);
+    await expect(service.subscribe({ email: "jane+x@example.com" })).rejects.toMatchObject({ status: 409, code: "already_subscribed" });
+  });
+});
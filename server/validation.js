@@ -0,0 +1,4 @@
+// Input formats shared by the waitlist and influencer routes.
+export const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+export const WALLET_RE = /^[A-Za-z0-9_.-]{2,64}$/;
+export const REF_RE = /^[A-Za-z0-9_-]{1,32}$/;
@@ -0,0 +1,21 @@
+import { createApi } from "./api.js";
+import { loadConfig } from "./config.js";
+
+// Mounts the API on Vite's dev and preview servers so `/api/*` works without a separate process.
+// The dev server also turns on the stub feeds, so the live sections have data to show.
+export default function predictPixApi(config = loadConfig()) {
+  let api;
+  const mount = (apiConfig) => (server) => {
+    api ||= createApi(apiConfig);
+    server.middlewares.use((req, res, next) => api(req, res, next));
+  };
+  return {
+    name: "predictpix-api",
+    configureServer: mount({
+      ...config,
+      statsSource: config.statsSource || "stub",
+      marketsSource: config.marketsSource || "stub",
+    }),
+    configurePreviewServer: mount(config),
+  };
+}
@@ -0,0 +1,86 @@
+import { createCipheriv, createECDH, createPrivateKey, generateKeyPairSync, hkdfSync, randomBytes, sign } from "node:crypto";
+import { readFile } from "node:fs/promises";
+
+// ---------------------
+// Web Push without dependencies: VAPID keys and signing (RFC 8292) and aes128gcm payload
+// encryption (RFC 8291). Keys use the same base64url format as the `web-push` npm package.
+// ---------------------
+const b64 = (buf) => Buffer.from(buf).toString("base64url");
+const unb64 = (str) => Buffer.from(String(str), "base64url");
+
+/** `{ publicKey, privateKey }`: uncompressed P-256 point and private scalar, base64url. */
+export function generateVapidKeys() {
+  const { privateKey } = generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+  const jwk = privateKey.export({ format: "jwk" });
+  return { publicKey: b64(Buffer.concat([Buffer.from([4]), unb64(jwk.x), unb64(jwk.y)])), privateKey: jwk.d };
+}
+
+/** Keys from VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY, else `config.vapidFile`; null if neither is set up. */
+export async function loadVapidKeys(config) {
+  if (config.vapidPublicKey && config.vapidPrivateKey) {
+    return { publicKey: config.vapidPublicKey, privateKey: config.vapidPrivateKey };
+  }
+  try {
+    return JSON.parse(await readFile(config.vapidFile, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+function vapidAuthorization({ publicKey, privateKey }, subject, endpoint, now = Date.now()) {
+  const point = unb64(publicKey);
+  const key = createPrivateKey({
+    key: { kty: "EC", crv: "P-256", d: privateKey, x: b64(point.subarray(1, 33)), y: b64(point.subarray(33, 65)) },
+    format: "jwk",
+  });
+  const header = b64(JSON.stringify({ typ: "JWT", alg: "ES256" }));
+  const claims = b64(JSON.stringify({ aud: new URL(endpoint).origin, exp: Math.floor(now / 1000) + 12 * 60 * 60, sub: subject }));
+  const signature = sign("sha256", Buffer.from(`${header}.${claims}`), { key, dsaEncoding: "ieee-p1363" });
+  return `vapid t=${header}.${claims}.${b64(signature)}, k=${publicKey}`;
+}
+
+/** Encrypts `payload` for one subscription as a single aes128gcm record. */
+export function encryptPayload({ p256dh, auth }, payload) {
+  const uaPublic = unb64(p256dh);
+  const server = createECDH("prime256v1");
+  const asPublic = server.generateKeys();
+  const salt = randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from("WebPush: info\0"), uaPublic, asPublic]);
+  const ikm = Buffer.from(hkdfSync("sha256", server.computeSecret(uaPublic), unb64(auth), keyInfo, 32));
+  const cek = Buffer.from(hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: aes128gcm\0"), 16));
+  const nonce = Buffer.from(hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12));
+
+  const cipher = createCipheriv("aes-128-gcm", cek, nonce);
+  // 0x02 marks the last (and only) record.
+  const body = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(4096, 16);
+  header[20] = asPublic.length;
+  return Buffer.concat([header, asPublic, body]);
+}
+
+/**
+ * `send(subscription, data, { ttl })` posts one notification and resolves to the push service's
+ * status code: 201 = accepted, 404/410 = the subscription is gone and should be dropped.
+ */
+export function createPushSender({ vapid, subject, fetch = globalThis.fetch }) {
+  async function send(subscription, data, { ttl = 24 * 60 * 60 } = {}) {
+    const res = await fetch(subscription.endpoint, {
+      method: "POST",
+      headers: {
+        Authorization: vapidAuthorization(vapid, subject, subscription.endpoint),
+        "Content-Encoding": "aes128gcm",
+        "Content-Type": "application/octet-stream",
+        TTL: String(ttl),
+        Urgency: "high",
+      },
+      body: encryptPayload(subscription.keys, JSON.stringify(data)),
+    });
+    return res.status;
+  }
+
+  return { send };
+}
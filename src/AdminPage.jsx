@@ -0,0 +1,400 @@
+import React, { useCallback, useEffect, useState } from "react";
+import GradientButton from "./components/GradientButton";
+import { COLORS } from "./theme";
+
+/**
+ * /admin — internal waitlist console (English only)
+ * - Password login (ADMIN_PASSWORD on the API)
+ * - Search/filter signups, referral trees, CSV export
+ * - Pick a cohort and send an invite wave
+ * - Review influencer applications
+ */
+const STATUSES = ["", "pending", "confirmed", "invited", "founding"];
+
+async function api(path, options) {
+  const res = await fetch(path, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options?.headers },
+  });
+  const body = await res.json().catch(() => null);
+  if (!res.ok) throw Object.assign(new Error(body?.message || `HTTP ${res.status}`), { status: res.status });
+  return body;
+}
+
+const inputCls = "rounded-xl bg-inset/30 px-3 py-2 outline-none ring-1 focus:ring-2";
+
+function AdminLogin({ onSuccess }) {
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    setError(null);
+    try {
+      await api("/api/admin/login", { method: "POST", body: JSON.stringify({ password }) });
+      onSuccess();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <form onSubmit={submit} className="max-w-sm mx-auto mt-24 grid gap-3">
+      <h1 className="text-2xl font-semibold">PredictPix Admin</h1>
+      <label htmlFor="admin-password" className="text-sm text-fg/80">Password</label>
+      <input
+        id="admin-password"
+        type="password"
+        required
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        className={inputCls}
+        style={{ borderColor: COLORS.borderSoft }}
+      />
+      <GradientButton variant="pink">Sign in</GradientButton>
+      {error && <div className="text-sm" style={{ color: COLORS.danger }}>{error}</div>}
+    </form>
+  );
+}
+
+function ReferralTree({ node }) {
+  return (
+    <li className="mt-1">
+      <span className="text-fg">{node.email}</span>{" "}
+      <span className="text-fg/50">
+        ({node.code}, {node.status})
+      </span>
+      {node.children.length > 0 && (
+        <ul className="ps-5 border-s" style={{ borderColor: COLORS.borderSoft }}>
+          {node.children.map((c) => (
+            <ReferralTree key={c.id} node={c} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+function InfluencerReview() {
+  const [status, setStatus] = useState("pending");
+  const [apps, setApps] = useState([]);
+  const [notice, setNotice] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const { influencers } = await api(`/api/admin/influencers${status ? `?status=${status}` : ""}`);
+      setApps(influencers);
+    } catch (err) {
+      setNotice({ type: "error", text: err.message });
+    }
+  }, [status]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function review(app, next) {
+    let code;
+    if (next === "approved") {
+      code = window.prompt(`Vanity ref code for ${app.name}:`, app.desiredCode);
+      if (code === null) return;
+    }
+    try {
+      const updated = await api(`/api/admin/influencers/${app.id}`, {
+        method: "PATCH",
+        body: JSON.stringify({ status: next, code }),
+      });
+      setNotice({ type: "success", text: `${updated.name}: ${updated.status}${updated.code ? ` (?ref=${updated.code})` : ""}` });
+      load();
+    } catch (err) {
+      setNotice({ type: "error", text: err.message });
+    }
+  }
+
+  return (
+    <div className="mt-4">
+      <select aria-label="Application status" value={status} onChange={(e) => setStatus(e.target.value)} className={`${inputCls} text-sm`}>
+        {["pending", "approved", "rejected", ""].map((s) => (
+          <option key={s} value={s}>{s || "all"}</option>
+        ))}
+      </select>
+      {notice && (
+        <div className="text-sm mt-3" style={{ color: notice.type === "error" ? COLORS.danger : COLORS.success }}>
+          {notice.text}
+        </div>
+      )}
+      <div className="grid gap-3 mt-4">
+        {apps.map((a) => (
+          <div key={a.id} className="rounded-xl ring-1 p-4 text-sm grid gap-1">
+            <div className="flex flex-wrap justify-between gap-2">
+              <span className="font-semibold">
+                {a.name} <span className="text-fg/50">· {a.email}</span>
+              </span>
+              <span className="text-fg/60">{a.status}</span>
+            </div>
+            <div className="text-fg/70">
+              Audience {a.audienceSize.toLocaleString()} · wants <code>{a.desiredCode}</code> · payout {a.payoutWallet}
+              {a.code && <> · live code <code>{a.code}</code> ({a.signups} signups)</>}
+            </div>
+            <ul className="text-fg/70 list-disc ps-5">
+              {a.channels.map((c) => (
+                <li key={c} className="break-all">{c}</li>
+              ))}
+            </ul>
+            <div className="flex gap-3 mt-2">
+              {a.status !== "approved" && (
+                <button type="button" onClick={() => review(a, "approved")} className="px-3 py-1 rounded-lg ring-1 hover:bg-fg/5">
+                  Approve
+                </button>
+              )}
+              {a.status !== "rejected" && (
+                <button type="button" onClick={() => review(a, "rejected")} className="px-3 py-1 rounded-lg ring-1 hover:bg-fg/5">
+                  Reject
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+        {!apps.length && <div className="text-fg/50 text-sm">No applications.</div>}
+      </div>
+    </div>
+  );
+}
+
+export default function AdminPage() {
+  const [authed, setAuthed] = useState(null);
+  const [tab, setTab] = useState("signups");
+  const [filters, setFilters] = useState({ q: "", status: "", ref: "" });
+  const [rows, setRows] = useState([]);
+  const [selected, setSelected] = useState(() => new Set());
+  const [wave, setWave] = useState(1);
+  const [topN, setTopN] = useState(100);
+  const [tree, setTree] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const query = new URLSearchParams(Object.entries(filters).filter(([, v]) => v)).toString();
+
+  const load = useCallback(async () => {
+    try {
+      const { signups } = await api(`/api/admin/signups?${query}`);
+      setRows(signups);
+      setAuthed(true);
+    } catch (err) {
+      if (err.status === 401) setAuthed(false);
+      else setNotice({ type: "error", text: err.message });
+    }
+  }, [query]);
+
+  useEffect(() => {
+    const id = setTimeout(load, 250); // debounce typing in the search box
+    return () => clearTimeout(id);
+  }, [load]);
+
+  function toggle(id) {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  function selectTop() {
+    const eligible = rows.filter((r) => r.status === "confirmed").slice(0, Number(topN) || 0);
+    setSelected(new Set(eligible.map((r) => r.id)));
+  }
+
+  async function sendWave() {
+    if (!window.confirm(`Invite ${selected.size} signups to wave ${wave}?`)) return;
+    try {
+      const r = await api("/api/admin/waves", {
+        method: "POST",
+        body: JSON.stringify({ wave, ids: [...selected] }),
+      });
+      setNotice({
+        type: "success",
+        text: `Wave ${r.wave}: ${r.invited} invited, ${r.skipped} skipped (unconfirmed or already invited), ${r.founding} new Founding Predictors.`,
+      });
+      setSelected(new Set());
+      load();
+    } catch (err) {
+      setNotice({ type: "error", text: err.message });
+    }
+  }
+
+  async function showTree(id) {
+    try {
+      setTree(await api(`/api/admin/signups/${id}/tree`));
+    } catch (err) {
+      setNotice({ type: "error", text: err.message });
+    }
+  }
+
+  async function logout() {
+    await api("/api/admin/logout", { method: "POST" }).catch(() => {});
+    setAuthed(false);
+  }
+
+  return (
+    <main id="main" tabIndex={-1} style={{ backgroundColor: COLORS.bg, color: COLORS.text }} className="min-h-screen w-full px-5 md:px-8 py-6 outline-none">
+      {authed === false && <AdminLogin onSuccess={load} />}
+      {authed && (
+        <div className="max-w-7xl mx-auto">
+          <div className="flex items-center justify-between gap-3">
+            <div className="flex gap-4 items-baseline">
+              {[
+                ["signups", `Waitlist (${rows.length})`],
+                ["influencers", "Influencers"],
+              ].map(([key, label]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => setTab(key)}
+                  className={tab === key ? "text-2xl font-semibold" : "text-lg text-fg/60 hover:text-fg"}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <button type="button" onClick={logout} className="text-sm underline text-fg/70 hover:text-fg">
+              Sign out
+            </button>
+          </div>
+
+          {tab === "influencers" && <InfluencerReview />}
+          {tab === "signups" && (
+          <>
+
+          <div className="flex flex-wrap gap-3 mt-4 text-sm">
+            <input
+              aria-label="Search email, wallet, Pi username or code"
+              placeholder="Search email, wallet, Pi user, code"
+              value={filters.q}
+              onChange={(e) => setFilters({ ...filters, q: e.target.value })}
+              className={`${inputCls} w-72`}
+            />
+            <input
+              aria-label="Referral code used"
+              placeholder="Referred by code"
+              value={filters.ref}
+              onChange={(e) => setFilters({ ...filters, ref: e.target.value })}
+              className={inputCls}
+            />
+            <select
+              aria-label="Status"
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+              className={inputCls}
+            >
+              {STATUSES.map((s) => (
+                <option key={s} value={s}>{s || "all statuses"}</option>
+              ))}
+            </select>
+            <a href={`/api/admin/signups.csv?${query}`} className="px-4 py-2 rounded-xl ring-1 hover:bg-fg/5">
+              Export CSV
+            </a>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 mt-4 text-sm rounded-xl ring-1 p-3">
+            <span className="font-semibold">Invite wave</span>
+            <select aria-label="Wave" value={wave} onChange={(e) => setWave(Number(e.target.value))} className={inputCls}>
+              {[1, 2, 3].map((w) => (
+                <option key={w} value={w}>Wave {w}</option>
+              ))}
+            </select>
+            <input
+              aria-label="Cohort size"
+              type="number"
+              min="1"
+              value={topN}
+              onChange={(e) => setTopN(e.target.value)}
+              className={`${inputCls} w-24`}
+            />
+            <button type="button" onClick={selectTop} className="px-3 py-2 rounded-xl ring-1 hover:bg-fg/5">
+              Select top confirmed
+            </button>
+            <button type="button" onClick={() => setSelected(new Set())} className="px-3 py-2 rounded-xl ring-1 hover:bg-fg/5">
+              Clear
+            </button>
+            <span className="text-fg/60">{selected.size} selected</span>
+            <GradientButton variant="orange" onClick={sendWave}>Send wave</GradientButton>
+          </div>
+
+          {notice && (
+            <div className="text-sm mt-3" style={{ color: notice.type === "error" ? COLORS.danger : COLORS.success }}>
+              {notice.text}
+            </div>
+          )}
+
+          {tree && (
+            <div className="mt-4 rounded-xl ring-1 p-4 text-sm">
+              <div className="flex justify-between">
+                <span className="font-semibold">Referral tree</span>
+                <button type="button" onClick={() => setTree(null)} className="underline text-fg/70">Close</button>
+              </div>
+              <ul>
+                <ReferralTree node={tree} />
+              </ul>
+            </div>
+          )}
+
+          <div className="overflow-x-auto mt-4">
+            <table className="w-full text-sm text-start">
+              <thead className="text-fg/60">
+                <tr>
+                  <th className="p-2"><span className="sr-only">Select</span></th>
+                  <th className="p-2 text-start">#</th>
+                  <th className="p-2 text-start">Email</th>
+                  <th className="p-2 text-start">Wallet / Pi</th>
+                  <th className="p-2 text-start">Code</th>
+                  <th className="p-2 text-start">Referred by</th>
+                  <th className="p-2 text-start">Referrals</th>
+                  <th className="p-2 text-start">Status</th>
+                  <th className="p-2 text-start">Wave</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={r.id} className="border-t" style={{ borderColor: COLORS.borderSoft }}>
+                    <td className="p-2">
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${r.email}`}
+                        checked={selected.has(r.id)}
+                        onChange={() => toggle(r.id)}
+                      />
+                    </td>
+                    <td className="p-2 tabular-nums">{r.position}</td>
+                    <td className="p-2">{r.email}</td>
+                    <td className="p-2">
+                      {r.wallet || "—"}
+                      {r.piUsername && <span className="text-fg/50"> · @{r.piUsername}</span>}
+                    </td>
+                    <td className="p-2">{r.code}</td>
+                    <td className="p-2">{r.referredByCode || (r.ref ? <s className="text-fg/40">{r.ref}</s> : "—")}</td>
+                    <td className="p-2">
+                      {r.referrals.total > 0 ? (
+                        <button type="button" onClick={() => showTree(r.id)} className="underline">
+                          {r.referrals.confirmed}/{r.referrals.total}
+                        </button>
+                      ) : (
+                        "0"
+                      )}
+                    </td>
+                    <td className="p-2">
+                      {r.status}
+                      {r.foundingPredictor && <span style={{ color: COLORS.accentOrange }}> ★ Founding</span>}
+                    </td>
+                    <td className="p-2">{r.inviteWave || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          </>
+          )}
+        </div>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,77 @@
+// @vitest-environment jsdom
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import axe from "axe-core";
+import { afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import App from "./App";
+
+// ---------------------
+// Automated accessibility check: render the landing page and run axe-core over it.
+// jsdom has no layout engine, so colour contrast is left to manual/Lighthouse checks.
+// ---------------------
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+beforeAll(() => {
+  document.documentElement.lang = "en";
+  document.title = "PredictPix";
+  window.matchMedia = (query) => ({ matches: false, media: query, addEventListener() {}, removeEventListener() {} });
+  window.scrollTo = () => {};
+  Element.prototype.scrollIntoView = () => {};
+  // No API in tests: every section falls back to its offline/error state.
+  vi.stubGlobal("fetch", () => Promise.resolve(new Response("{}", { status: 503 })));
+});
+
+let root;
+let container;
+
+afterEach(() => {
+  vi.useRealTimers();
+  act(() => root.unmount());
+  container.remove();
+  localStorage.clear();
+});
+
+async function render(url) {
+  window.history.replaceState(null, "", url);
+  container = document.createElement("div");
+  container.id = "root";
+  document.body.appendChild(container);
+  root = createRoot(container);
+  await act(async () => root.render(<App />));
+}
+
+// Only Date is faked, so React's own timers still run.
+function beforeLaunch() {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(new Date("2025-09-01T12:00:00-04:00"));
+}
+
+async function violations() {
+  const results = await axe.run(document, { rules: { "color-contrast": { enabled: false } } });
+  return results.violations.map((v) => `${v.id}: ${v.nodes.map((n) => n.target.join(" ")).join(", ")}`);
+}
+
+describe("landing page accessibility", () => {
+  it("has no axe violations before launch", async () => {
+    beforeLaunch();
+    await render("/");
+    expect(document.getElementById("waitlist")).not.toBeNull();
+    expect(await violations()).toEqual([]);
+  });
+
+  it("has no axe violations once live", async () => {
+    // Forced, so the test doesn't depend on today's date relative to the launch schedule.
+    await render("/?preview=public");
+    expect(document.getElementById("waitlist")).toBeNull();
+    expect(await violations()).toEqual([]);
+  });
+
+  it("has no axe violations with a referral and the share kit", async () => {
+    localStorage.setItem("predictpix.referral", JSON.stringify({ code: "abc2345", position: 3, total: 10, referrals: { total: 1, confirmed: 1 } }));
+    beforeLaunch();
+    await render("/");
+    expect(document.querySelector("#leaderboard svg[role=img]")).not.toBeNull();
+    expect(await violations()).toEqual([]);
+  });
+});
@@ -1,8 +1,110 @@
-﻿import React from "react";
+﻿import React, { useEffect, useRef } from "react";
 import PredictPixLanding from "./PredictPixLanding";
+import LoginPage from "./LoginPage";
+import AdminPage from "./AdminPage";
+import InfluencersPage from "./InfluencersPage";
+import LegalPage from "./LegalPage";
+import NotFoundPage from "./NotFoundPage";
+import I18nProvider from "./i18n/I18nProvider";
+import { useI18n } from "./i18n/context";
+import useLocation from "./hooks/useLocation";
+import { interceptLinks, navigate, scrollToHash } from "./lib/router";
+import { pageMeta } from "./lib/seo";
+import { addSink, firstPartySink, installAutoTracking, observeSections, track } from "./lib/analytics";
+import useConsent from "./hooks/useConsent";
+import ConsentBanner from "./components/ConsentBanner";
+import ThemeStyles from "./components/ThemeStyles";
+import SkipLink from "./components/SkipLink";
+
+// Where "Open app" and post-login `/beta` links go; until it is configured they land on the waitlist.
+// Deep links such as `/app/markets/<id>` keep their path and query on the app's URL.
+const APP_URL = import.meta.env.VITE_APP_URL;
+
+function AppRedirect() {
+  useEffect(() => {
+    const { pathname, search } = window.location;
+    const deepLink = pathname.startsWith("/app/") ? `${pathname.slice("/app".length)}${search}` : "";
+    if (APP_URL) window.location.replace(`${APP_URL.replace(/\/$/, "")}${deepLink}`);
+    else navigate("/#waitlist", { replace: true });
+  }, []);
+  return null;
+}
+
+const PrivacyPage = () => <LegalPage doc="privacy" />;
+const TermsPage = () => <LegalPage doc="terms" />;
+
+const PAGES = {
+  "/": PredictPixLanding,
+  "/login": LoginPage,
+  "/admin": AdminPage,
+  "/influencers": InfluencersPage,
+  "/privacy": PrivacyPage,
+  "/terms": TermsPage,
+  "/app": AppRedirect,
+  "/beta": AppRedirect,
+};
+
+// Keeps <title> and the description meta in step with the route and language.
+function RouteMeta({ pathname }) {
+  const { t } = useI18n();
+  useEffect(() => {
+    const { title, description } = pageMeta(t, pathname);
+    document.title = title;
+    document.querySelector('meta[name="description"]')?.setAttribute("content", description);
+  }, [t, pathname]);
+  return null;
+}
+
+// Where analytics batches go; add sinks here, components only call track().
+const ANALYTICS_SINKS = [firstPartySink()];
+
+const routeFor = (pathname) => (pathname.startsWith("/app/") ? "/app" : pathname);
+const isRoute = (pathname) => Object.hasOwn(PAGES, routeFor(pathname));
 
 function App() {
-  return <PredictPixLanding />;
+  const { pathname, hash } = useLocation();
+  const prev = useRef(null);
+
+  const consent = useConsent();
+
+  useEffect(() => interceptLinks(isRoute), []);
+
+  useEffect(() => {
+    const removeSinks = ANALYTICS_SINKS.map(addSink);
+    const uninstall = installAutoTracking();
+    return () => {
+      uninstall();
+      removeSinks.forEach((remove) => remove());
+    };
+  }, []);
+
+  // A page view per route (or as soon as consent is given), then watch its sections.
+  useEffect(() => {
+    if (consent !== "granted") return undefined;
+    track("page_view", { path: pathname, referrer: document.referrer ? new URL(document.referrer).host : undefined });
+    return observeSections();
+  }, [pathname, consent]);
+
+  // Jump to #anchors after every navigation (smoothly when staying on the same page),
+  // otherwise start new pages at the top.
+  useEffect(() => {
+    const samePage = prev.current === pathname;
+    const firstRender = prev.current === null;
+    prev.current = pathname;
+    if (hash && scrollToHash(hash, { smooth: samePage })) return;
+    if (!firstRender && !samePage) window.scrollTo(0, 0);
+  }, [pathname, hash]);
+
+  const Page = isRoute(pathname) ? PAGES[routeFor(pathname)] : NotFoundPage;
+  return (
+    <I18nProvider>
+      <ThemeStyles />
+      <RouteMeta pathname={isRoute(pathname) ? routeFor(pathname) : null} />
+      <SkipLink />
+      <Page />
+      {pathname !== "/admin" && <ConsentBanner />}
+    </I18nProvider>
+  );
 }
 
 export default App;
@@ -0,0 +1,224 @@
+import React, { useEffect, useState } from "react";
+import GradientButton from "./components/GradientButton";
+import HaloBox from "./components/HaloBox";
+import FormMessage from "./components/FormMessage";
+import { COLORS } from "./theme";
+import { useI18n } from "./i18n/context";
+import { formatCount } from "./lib/format";
+import { track } from "./lib/analytics";
+import { errorMessage, fieldA11y } from "./lib/formErrors";
+
+/**
+ * /influencers — influencer program application
+ * /influencers?token=… — private dashboard with the signups attributed to an influencer
+ */
+const fieldCls = "w-full rounded-xl bg-inset/30 px-4 py-3 outline-none ring-1 focus:ring-2";
+
+function Field({ id, label, hint, children }) {
+  return (
+    <div className="grid gap-1">
+      <label className="text-sm text-fg/80" htmlFor={id}>{label}</label>
+      {children}
+      {hint && <div id={`${id}-hint`} className="text-xs text-fg/50">{hint}</div>}
+    </div>
+  );
+}
+
+// Server error codes that are about a specific application field.
+const APPLY_ERROR_FIELDS = {
+  invalid_name: "inf-name",
+  invalid_email: "inf-email",
+  already_applied: "inf-email",
+  invalid_channels: "inf-channels",
+  invalid_audience: "inf-audience",
+  invalid_code: "inf-code",
+  code_taken: "inf-code",
+  invalid_wallet: "inf-wallet",
+};
+
+function ApplicationForm() {
+  const { t, tm, rich } = useI18n();
+  const [form, setForm] = useState({ name: "", email: "", channels: "", audienceSize: "", desiredCode: "", payoutWallet: "" });
+  const [message, setMessage] = useState(null); // { type, text, field? }
+  const [statsToken, setStatsToken] = useState(null);
+
+  const set = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+  const a11y = (id, hint = false) => fieldA11y(id, message, "apply-message", hint && `${id}-hint`);
+
+  async function submit(e) {
+    e.preventDefault();
+    setMessage(null);
+    try {
+      const res = await fetch("/api/influencers", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...form, audienceSize: Number(form.audienceSize) }),
+      });
+      const body = await res.json().catch(() => null);
+      track("influencer_apply", { outcome: res.ok ? "success" : body?.error || `http_${res.status}` });
+      if (res.ok) {
+        setStatsToken(body.statsToken);
+        setMessage({ type: "success", text: t("influencers.submitted") });
+      } else {
+        const reason = (body?.error && tm(`errors.${body.error}`)) || body?.message || res.status;
+        setMessage(errorMessage(t("influencers.failed", { reason }), body?.error, APPLY_ERROR_FIELDS));
+      }
+    } catch {
+      track("influencer_apply", { outcome: "network_error" });
+      setMessage(errorMessage(t("messages.network")));
+    }
+  }
+
+  if (statsToken) {
+    const link = `${window.location.origin}/influencers?token=${encodeURIComponent(statsToken)}`;
+    return (
+      <div className="grid gap-3">
+        <FormMessage message={message} />
+        <div className="text-sm text-fg/70">{t("influencers.statsLinkLabel")}</div>
+        <a href={link} className="underline break-all" dir="ltr">{link}</a>
+      </div>
+    );
+  }
+
+  const previewCode = form.desiredCode.trim().toLowerCase() || "yourname";
+  return (
+    <form onSubmit={submit} className="grid gap-4">
+      <Field id="inf-name" label={t("influencers.nameLabel")}>
+        <input id="inf-name" required minLength={2} maxLength={80} value={form.name} onChange={set("name")} {...a11y("inf-name")} className={fieldCls} />
+      </Field>
+      <Field id="inf-email" label={t("influencers.emailLabel")}>
+        <input id="inf-email" type="email" dir="ltr" required value={form.email} onChange={set("email")} {...a11y("inf-email")} className={fieldCls} />
+      </Field>
+      <Field id="inf-channels" label={t("influencers.channelsLabel")} hint={t("influencers.channelsHint")}>
+        <textarea
+          id="inf-channels"
+          required
+          rows={3}
+          dir="ltr"
+          value={form.channels}
+          onChange={set("channels")}
+          {...a11y("inf-channels", true)}
+          className={fieldCls}
+          placeholder={"https://youtube.com/@you\n@you_on_x"}
+        />
+      </Field>
+      <Field id="inf-audience" label={t("influencers.audienceLabel")}>
+        <input id="inf-audience" type="number" min={0} step={1} required value={form.audienceSize} onChange={set("audienceSize")} {...a11y("inf-audience")} className={fieldCls} />
+      </Field>
+      <Field
+        id="inf-code"
+        label={t("influencers.codeLabel")}
+        hint={rich("influencers.codeHint", { link: <span className="text-fg" dir="ltr">{`?ref=${previewCode}`}</span> })}
+      >
+        <input
+          id="inf-code"
+          required
+          dir="ltr"
+          pattern="[A-Za-z0-9_\-]{3,20}"
+          value={form.desiredCode}
+          onChange={set("desiredCode")}
+          {...a11y("inf-code", true)}
+          className={fieldCls}
+        />
+      </Field>
+      <Field id="inf-wallet" label={t("influencers.walletLabel")}>
+        <input
+          id="inf-wallet"
+          required
+          dir="ltr"
+          pattern="@?[A-Za-z0-9_.\-]{2,64}"
+          value={form.payoutWallet}
+          onChange={set("payoutWallet")}
+          {...a11y("inf-wallet")}
+          className={fieldCls}
+          placeholder={t("waitlist.walletPlaceholder")}
+        />
+      </Field>
+      <div>
+        <GradientButton variant="orange">{t("influencers.submit")}</GradientButton>
+      </div>
+      <FormMessage id="apply-message" message={message} />
+    </form>
+  );
+}
+
+function InfluencerStats({ token }) {
+  const { t, locale } = useI18n();
+  const [stats, setStats] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    fetch(`/api/influencers/stats?token=${encodeURIComponent(token)}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(res.status))))
+      .then(setStats)
+      .catch(() => setFailed(true));
+  }, [token]);
+
+  if (failed) return <FormMessage message={errorMessage(t("influencers.stats.notFound"))} focus={false} className="" />;
+  if (!stats) return <div className="text-fg/60">{t("influencers.stats.loading")}</div>;
+
+  const max = Math.max(1, ...stats.daily.map((d) => d.signups));
+  return (
+    <div className="grid gap-5">
+      <h2 className="text-xl font-semibold">{t("influencers.stats.title")}</h2>
+      <div className="text-fg/70">
+        {t("influencers.stats.status", { status: t(`influencers.stats.statuses.${stats.status}`) })}
+      </div>
+      {stats.code ? (
+        <div className="text-sm">
+          <div className="text-fg/70">{t("influencers.stats.link")}</div>
+          <code className="text-fg" dir="ltr">{`${window.location.origin}/?ref=${stats.code}`}</code>
+        </div>
+      ) : (
+        <div className="text-sm text-fg/60">{t("influencers.stats.pendingNote")}</div>
+      )}
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <div className="text-3xl font-bold tabular-nums">{formatCount(stats.total, locale)}</div>
+          <div className="text-sm text-fg/70">{t("influencers.stats.signups")}</div>
+        </div>
+        <div>
+          <div className="text-3xl font-bold tabular-nums">{formatCount(stats.confirmed, locale)}</div>
+          <div className="text-sm text-fg/70">{t("influencers.stats.confirmed")}</div>
+        </div>
+      </div>
+      <div>
+        <div className="text-sm text-fg/70 mb-2">{t("influencers.stats.last14")}</div>
+        <div className="flex items-end gap-1 h-24" dir="ltr">
+          {stats.daily.map((d) => (
+            <div
+              key={d.date}
+              title={`${d.date}: ${d.signups}`}
+              className="flex-1 rounded-t"
+              style={{ height: `${(d.signups / max) * 100}%`, minHeight: 2, background: COLORS.accentPink }}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function InfluencersPage() {
+  const { t } = useI18n();
+  const [token] = useState(() => new URL(window.location.href).searchParams.get("token"));
+
+  return (
+    <main id="main" tabIndex={-1} style={{ backgroundColor: COLORS.bg, color: COLORS.text }} className="min-h-screen w-full px-5 py-10 outline-none">
+      <HaloBox variant="orange" glow={false} className="max-w-xl mx-auto rounded-3xl p-6 md:p-8">
+        <a href="/" className="text-sm text-fg/60 hover:text-fg">← {t("influencers.back")}</a>
+        <h1 className="text-3xl font-bold mt-3">{t("influencers.title")}</h1>
+        {token ? (
+          <div className="mt-6">
+            <InfluencerStats token={token} />
+          </div>
+        ) : (
+          <>
+            <p className="text-fg/70 mt-2 mb-6">{t("influencers.intro")}</p>
+            <ApplicationForm />
+          </>
+        )}
+      </HaloBox>
+    </main>
+  );
+}
@@ -0,0 +1,34 @@
+import React from "react";
+import SiteHeader from "./components/SiteHeader";
+import SiteFooter from "./components/SiteFooter";
+import Markdown from "./components/Markdown";
+import { COLORS } from "./theme";
+import { useI18n } from "./i18n/context";
+
+// src/content/<doc>.md, with optional translations as <doc>.<locale>.md
+const DOCS = import.meta.glob("./content/*.md", { query: "?raw", import: "default", eager: true });
+
+/**
+ * /privacy and /terms
+ * Renders a Markdown document from src/content in the visitor's language, falling back to English.
+ */
+export default function LegalPage({ doc }) {
+  const { t, locale } = useI18n();
+  const translated = DOCS[`./content/${doc}.${locale}.md`];
+  const source = translated || DOCS[`./content/${doc}.md`];
+
+  return (
+    <div style={{ backgroundColor: COLORS.bg, color: COLORS.text }} className="min-h-screen w-full flex flex-col">
+      <SiteHeader cta={{ href: "/#waitlist", label: t("nav.joinWaitlist") }} />
+      <main id="main" tabIndex={-1} className="w-full max-w-3xl mx-auto px-5 md:px-8 py-8 md:py-12 flex-1 outline-none">
+        {!translated && locale !== "en" && (
+          <p className="text-sm text-fg/60 mb-6">{t("legal.englishOnly")}</p>
+        )}
+        <article lang={translated ? undefined : "en"} dir={translated ? undefined : "ltr"}>
+          <Markdown source={source} />
+        </article>
+      </main>
+      <SiteFooter />
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+import GradientButton from "./components/GradientButton";
+import HaloBox from "./components/HaloBox";
+import FormMessage from "./components/FormMessage";
+import { loginWithPi, safeNext } from "./lib/piAuth";
+import { track } from "./lib/analytics";
+import { errorMessage, fieldA11y } from "./lib/formErrors";
+import { COLORS } from "./theme";
+import { useI18n } from "./i18n/context";
+
+/**
+ * /login?next=/path
+ * Runs the Pi login flow, optionally asking to link it to a waitlist email (confirmed by an
+ * emailed link), then redirects to `next` (same-origin paths only).
+ */
+export default function LoginPage() {
+  const { t, tm } = useI18n();
+  const [next] = useState(() => safeNext(new URL(window.location.href).searchParams.get("next")));
+  const [email, setEmail] = useState("");
+  const [state, setState] = useState({ status: "idle", error: null });
+
+  async function submit(e) {
+    e.preventDefault();
+    setState({ status: "pending", error: null });
+    try {
+      const session = await loginWithPi({ email });
+      track("pi_login", { outcome: "success", linkedEmail: !!session.linkedEmail });
+      // Linking by email waits for the emailed link, so say where to look before moving on.
+      if (session.linkRequested) setState({ status: "linkSent", error: null });
+      else window.location.assign(next);
+    } catch (err) {
+      track("pi_login", { outcome: err.code || "error" });
+      const text = (err.code && tm(`errors.${err.code}`)) || err.message || t("login.failed");
+      setState({ status: "error", error: errorMessage(text, err.code, { invalid_email: "login-email" }) });
+    }
+  }
+
+  return (
+    <main
+      id="main"
+      tabIndex={-1}
+      style={{ backgroundColor: COLORS.bg, color: COLORS.text }}
+      className="min-h-screen w-full flex items-center justify-center px-5 outline-none"
+    >
+      <HaloBox
+        as="form"
+        variant="orange"
+        glow={false}
+        onSubmit={submit}
+        className="w-full max-w-md rounded-3xl p-6 md:p-8 grid gap-3"
+      >
+        <h1 className="text-2xl font-semibold">{t("login.title")}</h1>
+        <p className="text-fg/70">{t("login.intro")}</p>
+
+        <label className="text-sm text-fg/80 mt-2" htmlFor="login-email">{t("login.emailLabel")}</label>
+        <input
+          id="login-email"
+          type="email"
+          dir="ltr"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          {...fieldA11y("login-email", state.error, "login-message")}
+          className="w-full rounded-xl bg-inset/30 px-4 py-3 outline-none ring-1 focus:ring-2"
+          style={{ borderColor: COLORS.borderSoft }}
+          placeholder={t("waitlist.emailPlaceholder")}
+        />
+
+        <div className="flex gap-3 mt-3 items-center">
+          <GradientButton variant="orange">
+            {state.status === "pending" ? t("login.waiting") : t("login.continue")}
+          </GradientButton>
+          <a href="/" className="text-sm text-fg/70 hover:text-fg">{t("login.cancel")}</a>
+        </div>
+
+        <FormMessage
+          id="login-message"
+          message={state.status === "linkSent" ? { type: "success", text: t("login.linkSent", { email }) } : state.error}
+          className="text-sm mt-2"
+        />
+        {state.status === "linkSent" && (
+          <a href={next} className="text-sm underline text-fg/80 hover:text-fg">{t("login.next")}</a>
+        )}
+      </HaloBox>
+    </main>
+  );
+}
@@ -0,0 +1,24 @@
+import React from "react";
+import SiteHeader from "./components/SiteHeader";
+import SiteFooter from "./components/SiteFooter";
+import GradientButton from "./components/GradientButton";
+import { COLORS } from "./theme";
+import { useI18n } from "./i18n/context";
+
+export default function NotFoundPage() {
+  const { t } = useI18n();
+  return (
+    <div style={{ backgroundColor: COLORS.bg, color: COLORS.text }} className="min-h-screen w-full flex flex-col">
+      <SiteHeader />
+      <main id="main" tabIndex={-1} className="w-full max-w-3xl mx-auto px-5 md:px-8 py-16 md:py-24 flex-1 text-center grid gap-4 content-center outline-none">
+        <div className="text-6xl font-bold" style={{ color: COLORS.accentPink }}>404</div>
+        <h1 className="text-2xl md:text-3xl font-semibold">{t("notFound.title")}</h1>
+        <p className="text-fg/70">{t("notFound.body")}</p>
+        <div className="mt-4">
+          <GradientButton href="/">{t("notFound.home")}</GradientButton>
+        </div>
+      </main>
+      <SiteFooter />
+    </div>
+  );
+}
@@ -1,28 +1,45 @@
 ﻿import React, { useEffect, useMemo, useState } from "react";
+import useLiveStats from "./hooks/useLiveStats";
+import useAnimatedNumber from "./hooks/useAnimatedNumber";
+import useLaunchSchedule from "./hooks/useLaunchSchedule";
+import useServerClockOffset from "./hooks/useServerClock";
+import usePiSession from "./hooks/usePiSession";
+import useSignupGuard from "./hooks/useSignupGuard";
+import useSignupQueue from "./hooks/useSignupQueue";
+import useLaunchReminder from "./hooks/useLaunchReminder";
+import useExperiment from "./hooks/useExperiment";
+import { formatCount, formatDuration, formatPi } from "./lib/format";
+import { errorMessage, fieldA11y } from "./lib/formErrors";
+import { formatMilestone } from "./lib/schedule";
+import { downloadPhaseIcs } from "./lib/ics";
+import { HONEYPOT_FIELD } from "./lib/antiAbuse";
+import { captureUtm, getLastCta, track } from "./lib/analytics";
+import { copyKey, signupExperiments } from "./lib/experiments";
+import { referralLink } from "./lib/share";
+import LAUNCH_PHASES from "./config/launch-phases.json";
+import { COLORS, alpha } from "./theme";
+import HaloBox from "./components/HaloBox";
+import GradientButton from "./components/GradientButton";
+import FormMessage from "./components/FormMessage";
+import CopyButton from "./components/CopyButton";
+import { useI18n } from "./i18n/context";
+import SiteHeader from "./components/SiteHeader";
+import SiteFooter from "./components/SiteFooter";
+import FeaturedMarkets from "./components/FeaturedMarkets";
+import PayoutSimulator from "./components/PayoutSimulator";
+import Leaderboard from "./components/Leaderboard";
 
 /**
  * PredictPix Landing Page (Pre + Post Launch)
  * - Tailwind loaded via CDN in index.html
- * - Countdown to launch (Eastern Time – EDT)
+ * - All copy comes from src/i18n/locales/*.json via useI18n()
+ * - Phased launch schedule (src/config/launch-phases.json), countdowns in Eastern Time
  * - Gradient “halo” outlines re-used across cards
+ * - Featured markets from /api/markets/featured (stubbed locally by server/markets-stub.js)
+ * - Hero copy, CTA order and the Early Access card are A/B tested (src/config/experiments.json)
+ * - Public referral leaderboard (/api/leaderboard) with a personal share kit for signed-up visitors
  */
 
-// =====================
-// Theme / Design Tokens
-// =====================
-const COLORS = {
-  bg: "#0C0F1C",        // deep slate/indigo
-  card: "#0E1327",      // card interior
-  text: "#FFFFFF",
-  borderSoft: "#2A314B",
-  accentPink: "#FF2ECF",
-  accentCyan: "#00F5FF",
-  accentOrange: "#FF7A1C",
-};
-
-// Sep 15, 2025 @ 12:00 Eastern (currently EDT = UTC-04:00)
-const LAUNCH_AT_ISO = "2025-09-15T12:00:00-04:00";
-
 // ---------------------
 // Hooks (no TypeScript)
 // ---------------------
@@ -35,415 +52,688 @@ function useRefParam() {
   return ref;
 }
 
-function useCountdown(targetIso) {
-  const target = useMemo(() => new Date(targetIso).getTime(), [targetIso]);
-  const [now, setNow] = useState(() => Date.now());
+// `?confirmed=` / `?linked=` are set by /api/confirm and /api/auth/pi/link when they redirect
+// back after an emailed link is opened: true, false, or null when absent.
+function useResultParam(name) {
+  const [result, setResult] = useState(null);
   useEffect(() => {
-    const id = setInterval(() => setNow(Date.now()), 1000);
-    return () => clearInterval(id);
-  }, []);
-  const diff = Math.max(0, target - now);
-  const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-  const hours = Math.floor((diff / (1000 * 60 * 60)) % 24);
-  const minutes = Math.floor((diff / (1000 * 60)) % 60);
-  const seconds = Math.floor((diff / 1000) % 60);
-  return { diff, days, hours, minutes, seconds };
+    const url = new URL(window.location.href);
+    const v = url.searchParams.get(name);
+    if (v !== null) setResult(v === "1");
+  }, [name]);
+  return result;
+}
+
+// The visitor's own referral standing, remembered across visits and refreshed from the API.
+const REFERRAL_STORAGE_KEY = "predictpix.referral";
+
+function useOwnReferral() {
+  const [referral, setReferral] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(REFERRAL_STORAGE_KEY)) || null;
+    } catch {
+      return null;
+    }
+  });
+
+  const code = referral?.code;
+  useEffect(() => {
+    if (!code) return;
+    let cancelled = false;
+    fetch(`/api/referrals/${encodeURIComponent(code)}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((fresh) => {
+        if (fresh && !cancelled) setReferral(fresh);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [code]);
+
+  useEffect(() => {
+    if (referral) localStorage.setItem(REFERRAL_STORAGE_KEY, JSON.stringify(referral));
+  }, [referral]);
+
+  return [referral, setReferral];
+}
+
+// `?preview=<phase id>` lets the team review a phase's UI before it goes live.
+// Read synchronously: the schedule hook needs it on the first render.
+function usePreviewParam() {
+  const [preview] = useState(() => new URL(window.location.href).searchParams.get("preview"));
+  return preview;
 }
 
 // ---------------------
 // Small UI pieces
 // ---------------------
 function TimeBox({ n, label }) {
+  const { locale } = useI18n();
   return (
     <div className="flex flex-col items-center">
       <div
-        className="px-3 py-2 md:px-4 md:py-3 rounded-xl bg-black/30 ring-1"
+        className="px-3 py-2 md:px-4 md:py-3 rounded-xl bg-inset/30 ring-1"
         style={{ borderColor: COLORS.borderSoft }}
       >
         <span className="tabular-nums text-3xl md:text-4xl font-semibold">
-          {String(n).padStart(2, "0")}
+          {new Intl.NumberFormat(locale, { minimumIntegerDigits: 2 }).format(n)}
         </span>
       </div>
-      <span className="text-xs uppercase tracking-widest text-white/70 mt-2">{label}</span>
+      <span className="text-xs uppercase tracking-widest text-fg/70 mt-2">{label}</span>
     </div>
   );
 }
 
-function GradientButton({ children, href, onClick, variant = "pink" }) {
-  const gradient =
-    variant === "pink"
-      ? `linear-gradient(30deg, ${COLORS.accentCyan} 0%, ${COLORS.accentPink} 100%)`
-      : `linear-gradient(30deg, ${COLORS.accentPink} 0%, ${COLORS.accentOrange} 100%)`;
-  const cls =
-    "inline-flex items-center justify-center rounded-2xl px-5 py-3 font-semibold text-black shadow-lg hover:opacity-95 transition";
-  const style = { background: gradient };
-  return href ? (
-    <a href={href} className={cls} style={style}>
-      {children}
-    </a>
-  ) : (
-    <button onClick={onClick} className={cls} style={style}>
-      {children}
-    </button>
+// Screen readers get one polite summary instead of a per-second tick: it changes hourly while the
+// phase is days away, then once a minute.
+function CountdownAnnouncement({ phase, days, hours, minutes }) {
+  const { t, locale } = useI18n();
+  const time = formatDuration(days > 0 ? { day: days, hour: hours } : { hour: hours, minute: minutes }, locale);
+  return (
+    <p className="sr-only" aria-live="polite" aria-atomic="true">
+      {time ? t("countdown.summary", { phase, time }) : t("countdown.soon", { phase })}
+    </p>
   );
 }
 
-// Reusable thin gradient-outline tile (dark interior + 1px gradient border + glow)
-function HaloBox({ variant = "pink", children }) {
-  const borderGrad =
-    variant === "pink"
-      ? `linear-gradient(135deg, ${COLORS.accentCyan}, ${COLORS.accentPink})`
-      : `linear-gradient(135deg, ${COLORS.accentPink}, ${COLORS.accentOrange})`;
-  const shadow = variant === "pink" ? "0 0 36px rgba(255,46,207,.22)" : "0 0 36px rgba(255,122,28,.20)";
+function ReferralPanel({ referral }) {
+  const { t, locale } = useI18n();
+  const link = referralLink(referral.code);
+
+  return (
+    <div className="mt-4 rounded-xl bg-inset/30 ring-1 p-4 text-sm" style={{ borderColor: COLORS.borderSoft }}>
+      <div className="text-fg/70">{t("referral.linkLabel")}</div>
+      <div className="flex items-center gap-2 mt-1">
+        <code className="flex-1 truncate text-fg" dir="ltr">{link}</code>
+        <CopyButton text={link} />
+      </div>
+      <div className="grid grid-cols-2 gap-3 mt-3">
+        <div>
+          <div className="text-2xl font-semibold tabular-nums">
+            {t("referral.position", { position: formatCount(referral.position, locale) })}
+          </div>
+          <div className="text-fg/60">{t("referral.positionOf", { total: formatCount(referral.total, locale) })}</div>
+        </div>
+        <div>
+          <div className="text-2xl font-semibold tabular-nums">{formatCount(referral.referrals.total, locale)}</div>
+          <div className="text-fg/60">
+            {t("referral.friends", { confirmed: formatCount(referral.referrals.confirmed, locale) })}
+          </div>
+        </div>
+      </div>
+      <a href="#leaderboard" className="inline-block mt-3 underline text-fg/70 hover:text-fg">
+        {t("referral.shareKit")}
+      </a>
+    </div>
+  );
+}
 
+function StatTile({ value, label, format = formatCount }) {
+  const { locale } = useI18n();
+  const animated = useAnimatedNumber(value);
   return (
-    <div
-      className="rounded-2xl p-0"
-      style={{
-        background: `linear-gradient(${COLORS.card}, ${COLORS.card}) padding-box, ${borderGrad} border-box`,
-        border: "1px solid transparent",
-        boxShadow: shadow,
-      }}
-    >
-      <div className="rounded-2xl p-5 md:p-6 bg-transparent">{children}</div>
+    <div className="flex flex-col items-center">
+      <div className="text-3xl md:text-4xl font-bold tracking-tight tabular-nums">
+        {animated == null ? "—" : format(Math.round(animated), locale)}
+      </div>
+      <div className="text-sm text-fg/70 mt-1">{label}</div>
     </div>
   );
 }
 
+function LiveSnapshot() {
+  const { t, locale } = useI18n();
+  const { stats, status, updatedAt } = useLiveStats();
+  const note = {
+    loading: { text: t("stats.loading"), color: alpha(COLORS.text, 60) },
+    live: { text: t("stats.live"), color: COLORS.success },
+    stale: {
+      text: t("stats.stale", { time: updatedAt?.toLocaleTimeString(locale, { hour: "2-digit", minute: "2-digit" }) }),
+      color: COLORS.accentAmber,
+    },
+    error: { text: t("stats.error"), color: COLORS.danger },
+  }[status];
+
+  return (
+    <>
+      <div className="flex items-baseline justify-between gap-3">
+        <h2 className="text-2xl font-semibold">{t("stats.title")}</h2>
+        <span className="text-xs" style={{ color: note.color }}>{note.text}</span>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-6" aria-busy={status === "loading"}>
+        <StatTile value={stats?.activeMarkets} label={t("stats.activeMarkets")} />
+        <StatTile value={stats?.totalTraders} label={t("stats.totalTraders")} />
+        <StatTile value={stats?.volume24hPi} label={t("stats.volume24h")} format={formatPi} />
+        <StatTile value={stats?.marketsResolved} label={t("stats.resolved")} />
+      </div>
+    </>
+  );
+}
+
+// Eastern time, plus the visitor's local time when it differs.
+function MilestoneTime({ at }) {
+  const { t, locale } = useI18n();
+  const eastern = formatMilestone(at, { locale });
+  const local = formatMilestone(at, { local: true, locale });
+  return (
+    <span>
+      {eastern}
+      {local !== eastern && <span className="text-fg/50"> · {t("schedule.yourTime", { time: local })}</span>}
+    </span>
+  );
+}
+
+function CalendarButton({ phase }) {
+  const { t } = useI18n();
+  return (
+    <button type="button" onClick={() => downloadPhaseIcs(phase)} className="underline hover:text-fg">
+      {t("schedule.addToCalendar")}
+    </button>
+  );
+}
+
+// Web Push opt-in; hidden where push isn't available (see useLaunchReminder).
+function LaunchReminder() {
+  const { t, locale } = useI18n();
+  const { status, toggle } = useLaunchReminder(locale);
+  if (status === "unsupported") return null;
+  if (status === "denied") return <span>{t("reminder.denied")}</span>;
+  if (status === "on") {
+    return (
+      <span>
+        {t("reminder.on")}{" "}
+        <button type="button" onClick={toggle} className="underline hover:text-fg">
+          {t("reminder.off")}
+        </button>
+      </span>
+    );
+  }
+  return (
+    <>
+      <button type="button" onClick={toggle} disabled={status === "working"} aria-busy={status === "working"} className="underline hover:text-fg">
+        {t("reminder.button")}
+      </button>
+      {status === "error" && (
+        <span role="alert" style={{ color: COLORS.danger }}>
+          {t("reminder.error")}
+        </span>
+      )}
+    </>
+  );
+}
+
+function PiUserBadge({ user, onLogout }) {
+  const { t, rich } = useI18n();
+  return (
+    <span className="inline-flex items-center gap-3 px-4 py-3 rounded-2xl ring-1 text-sm" style={{ borderColor: COLORS.borderSoft }}>
+      <span>
+        {rich("auth.signedInAs", {
+          username: (
+            <span className="font-semibold" style={{ color: COLORS.accentOrange }}>
+              @{user.username}
+            </span>
+          ),
+        })}
+      </span>
+      <button type="button" onClick={onLogout} className="text-fg/60 hover:text-fg underline">
+        {t("auth.signOut")}
+      </button>
+    </span>
+  );
+}
+
+// The experiment components below call useExperiment themselves, so an exposure is only recorded
+// when the variant is actually on screen (not in the live phase, not for signed-in Pi users).
+
+/** Waitlist and Pi login buttons in the cta-order experiment's order (DOM order, so tab order matches). */
+function OrderedCtas({ waitlistCta, piLoginCta }) {
+  const ctaOrder = useExperiment("cta-order");
+  return ctaOrder === "pi-first" ? [piLoginCta, waitlistCta] : [waitlistCta, piLoginCta];
+}
+
+/** Early Access card title and intro, worded by the early-access-card experiment. */
+function EarlyAccessIntro() {
+  const { t, tm } = useI18n();
+  const variant = useExperiment("early-access-card");
+  const key = (name) => copyKey(tm, "early-access-card", variant, name, `waitlist.${name}`);
+  return (
+    <>
+      <h2 className="text-2xl font-semibold">{t(key("title"))}</h2>
+      <p className="text-fg/70 mt-2">{t(key("intro"))}</p>
+    </>
+  );
+}
+
+// Server error codes that are about a specific waitlist field.
+const WAITLIST_ERROR_FIELDS = {
+  invalid_email: "email",
+  disposable_email: "email",
+  already_subscribed: "email",
+  invalid_wallet: "wallet",
+};
+
 // ---------------------
 // Page
 // ---------------------
 export default function PredictPixLanding() {
-  const { diff, days, hours, minutes, seconds } = useCountdown(LAUNCH_AT_ISO);
-  const preLaunch = diff > 0;
+  const { t, tm, rich } = useI18n();
+  const clockOffset = useServerClockOffset();
+  const previewId = usePreviewParam();
+  const { phases, now, current, next, preview, days, hours, minutes, seconds } = useLaunchSchedule(LAUNCH_PHASES, {
+    clockOffset,
+    previewId,
+  });
+  const preLaunch = !current?.live;
+  // Phase names are translated by id; the config label is the fallback.
+  const phaseLabel = (p) => (tm(`phases.${p.id}`) ? t(`phases.${p.id}`) : p.label);
+  const localized = (p) => p && { ...p, label: phaseLabel(p) };
   const refParam = useRefParam();
+  const [utm] = useState(() => captureUtm());
+  const heroCopy = useExperiment("hero-copy");
+  const heroKey = (name) => copyKey(tm, "hero-copy", heroCopy, name, `hero.${name}`);
 
   const [email, setEmail] = useState("");
   const [wallet, setWallet] = useState("");
-  const [message, setMessage] = useState(null);
+  const [honeypot, setHoneypot] = useState("");
+  const guard = useSignupGuard();
+  const [message, setMessage] = useState(null); // { type: "success" | "error", text, field? }
+  const [submitted, setSubmitted] = useState(false); // focus the result only after a submit
+  const [referral, setReferral] = useOwnReferral();
+  const { session, user: piUser, logout } = usePiSession();
+
+  // A Pi login that isn't linked to a signup yet pre-fills the wallet field.
+  useEffect(() => {
+    if (session?.user && !session.linkedEmail) setWallet((w) => w || session.user.username);
+  }, [session]);
+
+  const confirmed = useResultParam("confirmed");
+  useEffect(() => {
+    if (confirmed === null) return;
+    setMessage(
+      confirmed
+        ? { type: "success", text: t("messages.confirmed") }
+        : errorMessage(t("messages.failed", { reason: t("messages.confirmInvalid") }))
+    );
+  }, [confirmed, t]);
+
+  const linked = useResultParam("linked");
+  useEffect(() => {
+    if (linked === null) return;
+    setMessage(linked ? { type: "success", text: t("messages.linked") } : errorMessage(t("messages.linkInvalid")));
+  }, [linked, t]);
+
+  // Shared by live submissions and signups sent later from the offline queue.
+  async function handleResponse(res, payload) {
+    if (res.ok) {
+      // The signup is stored either way; an unreadable body only costs the referral details.
+      const data = await res.json().catch(() => ({}));
+      track("waitlist_submit", { outcome: "success", cta: getLastCta(), refStatus: data.refStatus, hasRef: !!payload.ref });
+      const refNote = { unknown: t("messages.refUnknown"), self: t("messages.refSelf") }[data.refStatus];
+      // A repeat signup for an unconfirmed email only gets its mail resent: no code comes back.
+      if (data.code) setReferral({ code: data.code, position: data.position, total: data.total, referrals: data.referrals });
+      setMessage({ type: "success", text: [t("messages.success"), refNote].filter(Boolean).join(" ") });
+      setEmail("");
+      setWallet("");
+    } else {
+      const body = await res.json().catch(() => null);
+      track("waitlist_submit", { outcome: body?.error || `http_${res.status}`, cta: getLastCta() });
+      const reason = (body?.error && tm(`errors.${body.error}`)) || body?.message || res.status;
+      setMessage(errorMessage(t("messages.failed", { reason }), body?.error, WAITLIST_ERROR_FIELDS));
+    }
+  }
+
+  // A queued signup finishes in the background: announce the result instead of moving focus.
+  const signupQueue = useSignupQueue((res, payload) => {
+    setSubmitted(false);
+    return handleResponse(res, payload);
+  });
+  // While a saved signup waits for the connection, it is the form's status. The text stays the
+  // same across retries so the message isn't re-announced (or refocused) every 30 s.
+  const pending = !!signupQueue.pending;
+  const formMessage = useMemo(() => {
+    if (message || !pending) return message;
+    return { type: "pending", text: t("messages.queued") };
+  }, [message, pending, t]);
 
   async function submit(e) {
     e.preventDefault();
     setMessage(null);
+    setSubmitted(true);
+    let proof;
+    try {
+      proof = await guard.proof();
+    } catch (err) {
+      track("waitlist_submit", { outcome: err.code || "error", cta: getLastCta() });
+      setMessage(errorMessage(t("messages.failed", { reason: tm(`errors.${err.code}`) || err.message }), err.code));
+      return;
+    }
+    const payload = { email, wallet, ref: refParam, utm, experiments: signupExperiments(), [HONEYPOT_FIELD]: honeypot };
+    let res;
     try {
-      const res = await fetch("/api/subscribe", {
+      res = await fetch("/api/subscribe", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ email, wallet, ref: refParam }),
+        body: JSON.stringify({ ...payload, ...proof }),
       });
-      if (res.ok) {
-        setMessage("You're on the list! Check your email for confirmation.");
-        setEmail("");
-        setWallet("");
-      } else {
-        const t = await res.text();
-        setMessage(`Signup failed: ${t || res.status}`);
-      }
-    } catch (err) {
-      setMessage("Network error. Please try again.");
+    } catch {
+      // No connection: keep the signup and send it when the browser is back online.
+      track("waitlist_submit", { outcome: "queued", cta: getLastCta() });
+      signupQueue.queue(payload);
+      return;
+    } finally {
+      guard.reset();
     }
+    // Only a request that never got an answer is queued; the server's answer, error or not, is shown.
+    await handleResponse(res, payload);
   }
 
+  // Hero buttons; without a Pi session OrderedCtas puts them in the cta-order experiment's order.
+  const waitlistCta = (
+    <GradientButton key="waitlist" variant="pink" href="#waitlist" cta="hero_join_waitlist">{t("hero.joinWaitlist")}</GradientButton>
+  );
+  const piLoginCta = (
+    <GradientButton key="pi" variant="orange" href="/login?next=/beta" cta="hero_pi_login">{t("hero.joinBetaPi")}</GradientButton>
+  );
+
   return (
     <div style={{ backgroundColor: COLORS.bg, color: COLORS.text }} className="min-h-screen w-full">
+      {preview && (
+        <aside className="w-full text-center text-xs py-2 bg-inset/60" style={{ color: COLORS.accentOrange }}>
+          {rich("preview.banner", { phase: <b>{current ? phaseLabel(current) : t("preview.beforeLaunch")}</b> })}
+        </aside>
+      )}
+
       {/* Subtle hero backdrop swirl */}
       <div
-        className="fixed inset-0 -z-10 opacity-40"
+        className="fixed inset-0 -z-10 opacity-40 motion-reduce:hidden"
         style={{
-          background: `radial-gradient(600px 400px at 15% 10%, ${COLORS.accentPink}22 0%, transparent 70%),
-             radial-gradient(700px 600px at 85% 20%, ${COLORS.accentCyan}22 0%, transparent 70%),
-             radial-gradient(800px 600px at 50% 90%, ${COLORS.accentOrange}22 0%, transparent 70%)`,
+          background: `radial-gradient(600px 400px at 15% 10%, ${alpha(COLORS.accentPink, 13)} 0%, transparent 70%),
+             radial-gradient(700px 600px at 85% 20%, ${alpha(COLORS.accentCyan, 13)} 0%, transparent 70%),
+             radial-gradient(800px 600px at 50% 90%, ${alpha(COLORS.accentOrange, 13)} 0%, transparent 70%)`,
           filter: "blur(40px)",
         }}
       />
 
-      {/* Nav */}
-      <header className="w-full">
-        <div className="max-w-6xl mx-auto flex items-center justify-between px-5 md:px-8 py-5">
-          <div className="flex items-center gap-3">
-            <div
-              className="w-9 h-9 rounded-xl"
-              style={{
-                background: `linear-gradient(30deg, ${COLORS.accentCyan}, ${COLORS.accentPink})`,
-                boxShadow: "0 0 24px rgba(255,46,207,0.35)",
-              }}
-            />
-            <div className="text-xl font-bold tracking-tight">
-              Predict<span style={{ color: COLORS.accentOrange }}>Pix</span>
-            </div>
-          </div>
-          <nav className="hidden md:flex items-center gap-6 text-white/80">
-            <a href="#how" className="hover:text-white">How it works</a>
-            <a href="#perks" className="hover:text-white">Beta perks</a>
-            <a href="#roadmap" className="hover:text-white">Roadmap</a>
-            <a href="#faq" className="hover:text-white">FAQ</a>
-          </nav>
-          <div className="flex items-center gap-3">
-            <a
-              href={preLaunch ? "#waitlist" : "/app"}
-              className="hidden md:inline-block text-sm px-4 py-2 rounded-xl ring-1 hover:bg-white/5"
-              style={{ borderColor: COLORS.borderSoft }}
-            >
-              {preLaunch ? "Join waitlist" : "Open app"}
-            </a>
-          </div>
-        </div>
-      </header>
+      <SiteHeader
+        home
+        cta={preLaunch ? { href: "#waitlist", label: t("nav.joinWaitlist") } : { href: "/app", label: t("nav.openApp") }}
+      />
 
       {/* Hero */}
-      <main className="w-full">
+      <main id="main" tabIndex={-1} className="w-full outline-none">
         <section className="w-full max-w-6xl mx-auto px-5 md:px-8 pt-8 md:pt-16 pb-10 md:pb-16">
           <div className="grid md:grid-cols-2 gap-8 items-center">
             <div>
               <h1 className="text-4xl md:text-6xl font-extrabold leading-tight">
-                Prediction Markets{" "}
+                {t(heroKey("titleLine1"))}{" "}
                 <span className="block mt-1">
-                  Powered by <span style={{ color: COLORS.accentOrange }}>Pi</span>
+                  {rich(heroKey("titleLine2"), { pi: <span style={{ color: COLORS.accentOrange }}>{t("hero.pi")}</span> })}
                 </span>
               </h1>
-              <p className="text-lg md:text-xl text-white/80 mt-4 max-w-xl">
-                Peer-to-peer markets. No AMMs. No liquidity pools. Create a market, trade outcomes, and settle fairly—using only Pi.
-              </p>
+              <p className="text-lg md:text-xl text-fg/80 mt-4 max-w-xl">{t(heroKey("subtitle"))}</p>
 
               {preLaunch ? (
                 <div className="mt-6">
-                  <div className="text-white/80 mb-3">Closed beta starts in:</div>
-                  <div className="flex items-center gap-4">
-                    <TimeBox n={days} label="Days" />
-                    <TimeBox n={hours} label="Hours" />
-                    <TimeBox n={minutes} label="Minutes" />
-                    <TimeBox n={seconds} label="Seconds" />
-                  </div>
+                  {current && (
+                    <div className="text-sm text-fg/70 mb-2">
+                      {rich("hero.now", { phase: <span className="text-fg font-semibold">{phaseLabel(current)}</span> })}
+                    </div>
+                  )}
+                  {next && (
+                    <>
+                      <div className="text-fg/80 mb-3" aria-hidden="true">{t("hero.startsIn", { phase: phaseLabel(next) })}</div>
+                      <CountdownAnnouncement phase={phaseLabel(next)} days={days} hours={hours} minutes={minutes} />
+                      <div className="flex items-center gap-4" aria-hidden="true">
+                        <TimeBox n={days} label={t("countdown.days")} />
+                        <TimeBox n={hours} label={t("countdown.hours")} />
+                        <TimeBox n={minutes} label={t("countdown.minutes")} />
+                        <TimeBox n={seconds} label={t("countdown.seconds")} />
+                      </div>
+                      <div className="text-xs text-fg/60 mt-3 flex flex-wrap gap-x-3 gap-y-1">
+                        <MilestoneTime at={next.at} />
+                        <CalendarButton phase={localized(next)} />
+                        <LaunchReminder />
+                      </div>
+                    </>
+                  )}
                   <div className="flex flex-wrap gap-3 mt-6">
-                    <GradientButton variant="pink" href="#waitlist">Join the Waitlist</GradientButton>
-                    <GradientButton variant="orange" href="/login?next=/beta">Join Beta with Pi Login</GradientButton>
+                    {piUser ? (
+                      [waitlistCta, <PiUserBadge key="pi" user={piUser} onLogout={logout} />]
+                    ) : (
+                      <OrderedCtas waitlistCta={waitlistCta} piLoginCta={piLoginCta} />
+                    )}
                   </div>
-                  <p className="text-sm text-white/60 mt-3">
-                    Use your referral link <span className="text-white">?ref=YOURCODE</span> to earn early-access boosts.
+                  <p className="text-sm text-fg/60 mt-3">
+                    {rich("hero.refHint", { code: <span className="text-fg" dir="ltr">{t("hero.refHintCode")}</span> })}
                   </p>
                 </div>
               ) : (
                 <div className="mt-6">
-                  <div className="text-white/80">We are live!</div>
+                  <div className="text-fg/80">{t("hero.live")}</div>
                   <div className="flex flex-wrap gap-3 mt-4">
-                    <GradientButton variant="pink" href="/app">Open PredictPix</GradientButton>
+                    <GradientButton variant="pink" href="/app" cta="hero_open_app">{t("hero.openApp")}</GradientButton>
                     <a
                       href="#stats"
-                      className="px-5 py-3 rounded-2xl ring-1 text-white/90 hover:bg-white/5"
+                      data-cta="hero_see_stats"
+                      className="px-5 py-3 rounded-2xl ring-1 text-fg/90 hover:bg-fg/5"
                       style={{ borderColor: COLORS.borderSoft }}
                     >
-                      See live stats
+                      {t("hero.seeStats")}
                     </a>
                   </div>
                 </div>
               )}
             </div>
 
-            {/* Early Access card with orange halo (outline + dark interior) */}
-            <div
-              className="relative rounded-3xl p-6 md:p-8 shadow-xl backdrop-blur"
-              style={{
-                background: `linear-gradient(${COLORS.card}, ${COLORS.card}) padding-box, linear-gradient(135deg, ${COLORS.accentOrange}55, #FFC170AA) border-box`,
-                border: "1px solid transparent",
-                boxShadow: "0 0 0 1px rgba(255,122,28,.25), 0 0 42px rgba(255,122,28,.25)",
-              }}
-            >
+            {/* Early Access card with ember halo (outline + dark interior) */}
+            <HaloBox variant="ember" className="relative rounded-3xl p-6 md:p-8 shadow-xl motion-safe:backdrop-blur">
               {preLaunch ? (
                 <div>
-                  <h3 className="text-2xl font-semibold">Get Early Access</h3>
-                  <p className="text-white/70 mt-2">
-                    Be among the first 1,000 to enter beta and claim a Founding Predictor badge.
-                  </p>
+                  <EarlyAccessIntro />
 
-                  <form id="waitlist" onSubmit={submit} className="mt-5 grid gap-3">
-                    <label className="text-sm text-white/80" htmlFor="email">Email</label>
+                  <form id="waitlist" onSubmit={submit} onFocus={guard.arm} className="mt-5 grid gap-3">
+                    <label className="text-sm text-fg/80" htmlFor="email">{t("waitlist.emailLabel")}</label>
                     <input
                       id="email"
                       type="email"
+                      dir="ltr"
                       required
                       value={email}
                       onChange={(e) => setEmail(e.target.value)}
-                      className="w-full rounded-xl bg-black/30 px-4 py-3 outline-none ring-1 focus:ring-2"
+                      {...fieldA11y("email", formMessage, "waitlist-message")}
+                      className="w-full rounded-xl bg-inset/30 px-4 py-3 outline-none ring-1 focus:ring-2"
                       style={{ borderColor: COLORS.borderSoft }}
-                      placeholder="you@predictpix.com"
+                      placeholder={t("waitlist.emailPlaceholder")}
                     />
 
-                    <label className="text-sm text-white/80 mt-2" htmlFor="wallet">Pi Wallet (optional)</label>
+                    <label className="text-sm text-fg/80 mt-2" htmlFor="wallet">{t("waitlist.walletLabel")}</label>
                     <input
                       id="wallet"
                       type="text"
                       value={wallet}
                       onChange={(e) => setWallet(e.target.value)}
-                      className="w-full rounded-xl bg-black/30 px-4 py-3 outline-none ring-1 focus:ring-2"
+                      {...fieldA11y("wallet", formMessage, "waitlist-message")}
+                      className="w-full rounded-xl bg-inset/30 px-4 py-3 outline-none ring-1 focus:ring-2"
                       style={{ borderColor: COLORS.borderSoft }}
-                      placeholder="Pi wallet username"
+                      placeholder={t("waitlist.walletPlaceholder")}
                     />
 
-                    <div className="flex items-start gap-2 mt-2 text-sm text-white/70">
+                    {/* Honeypot: hidden from people and screen readers, tempting to form-filling bots. */}
+                    <div aria-hidden="true" style={{ position: "absolute", left: "-10000px", width: 1, height: 1, overflow: "hidden" }}>
+                      <label htmlFor={HONEYPOT_FIELD}>Website</label>
+                      <input
+                        id={HONEYPOT_FIELD}
+                        name={HONEYPOT_FIELD}
+                        type="text"
+                        tabIndex={-1}
+                        autoComplete="off"
+                        value={honeypot}
+                        onChange={(e) => setHoneypot(e.target.value)}
+                      />
+                    </div>
+
+                    <div className="flex items-start gap-2 mt-2 text-sm text-fg/70">
                       <input id="consent" type="checkbox" required className="mt-1" />
                       <label htmlFor="consent">
-                        I agree to receive beta updates and I've read the
-                        <a className="underline ml-1" href="/privacy" target="_blank" rel="noreferrer">Privacy Policy</a>.
+                        {rich("waitlist.consent", {
+                          privacy: (
+                            <a className="underline" href="/privacy" target="_blank" rel="noreferrer">
+                              {t("waitlist.privacyPolicy")}
+                            </a>
+                          ),
+                        })}
                       </label>
                     </div>
 
                     <div className="flex gap-3 mt-3">
-                      <GradientButton variant="pink">Join Waitlist</GradientButton>
-                      <a
-                        href="/login?next=/beta"
-                        className="px-5 py-3 rounded-2xl ring-1 hover:bg-white/5"
-                        style={{ borderColor: COLORS.borderSoft }}
-                      >
-                        Pi Login
-                      </a>
+                      <GradientButton variant="pink">{t("waitlist.submit")}</GradientButton>
+                      {!piUser && (
+                        <a
+                          href="/login?next=/beta"
+                          data-cta="waitlist_pi_login"
+                          className="px-5 py-3 rounded-2xl ring-1 hover:bg-fg/5"
+                          style={{ borderColor: COLORS.borderSoft }}
+                        >
+                          {t("auth.piLogin")}
+                        </a>
+                      )}
                     </div>
 
-                    {message && (
-                      <div
-                        className="text-sm mt-3"
-                        style={{ color: message.startsWith("Signup failed") || message.startsWith("Network") ? "#ffb4b4" : "#C6FFD0" }}
-                      >
-                        {message}
+                    {session?.linkedEmail && (
+                      <div className="text-xs text-fg/60">
+                        {rich("auth.linked", { email: <span className="text-fg" dir="ltr">{session.linkedEmail}</span> })}
                       </div>
                     )}
 
-                    <div className="text-xs text-white/60 mt-4">
-                      Referral detected: <span className="text-white">{refParam || "none"}</span>
+                    <FormMessage id="waitlist-message" message={formMessage} focus={submitted} className="text-sm mt-3" />
+
+                    {referral && <ReferralPanel referral={referral} />}
+
+                    <div className="text-xs text-fg/60 mt-4">
+                      {rich("waitlist.referralDetected", {
+                        ref: <span className="text-fg" dir="ltr">{refParam || t("waitlist.none")}</span>,
+                      })}
                     </div>
                   </form>
                 </div>
               ) : (
                 <div id="stats" className="grid gap-6">
-                  <h3 className="text-2xl font-semibold">Live Snapshot</h3>
-                  <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
-                    <div className="flex flex-col items-center">
-                      <div className="text-3xl md:text-4xl font-bold tracking-tight">128</div>
-                      <div className="text-sm text-white/70 mt-1">Active Markets</div>
-                    </div>
-                    <div className="flex flex-col items-center">
-                      <div className="text-3xl md:text-4xl font-bold tracking-tight">2391</div>
-                      <div className="text-sm text-white/70 mt-1">Total Traders</div>
-                    </div>
-                    <div className="flex flex-col items-center">
-                      <div className="text-3xl md:text-4xl font-bold tracking-tight">12,540</div>
-                      <div className="text-sm text-white/70 mt-1">24h Volume (Pi)</div>
-                    </div>
-                    <div className="flex flex-col items-center">
-                      <div className="text-3xl md:text-4xl font-bold tracking-tight">76</div>
-                      <div className="text-sm text-white/70 mt-1">Markets Resolved</div>
-                    </div>
-                  </div>
+                  <LiveSnapshot />
                   <div className="flex gap-3 mt-2">
-                    <GradientButton variant="orange" href="/app">Start Trading</GradientButton>
+                    <GradientButton variant="orange" href="/app" cta="stats_start_trading">{t("stats.startTrading")}</GradientButton>
                     <a
                       href="#how"
-                      className="px-5 py-3 rounded-2xl ring-1 hover:bg-white/5"
+                      data-cta="stats_how_it_works"
+                      className="px-5 py-3 rounded-2xl ring-1 hover:bg-fg/5"
                       style={{ borderColor: COLORS.borderSoft }}
                     >
-                      How it works
+                      {t("stats.howItWorks")}
                     </a>
                   </div>
                 </div>
               )}
-            </div>
+            </HaloBox>
           </div>
         </section>
 
         {/* How it works */}
         <section id="how" className="w-full max-w-6xl mx-auto px-5 md:px-8 py-12 md:py-16">
-          <h2 className="text-2xl md:text-3xl font-bold mb-4">How PredictPix Works</h2>
+          <h2 className="text-2xl md:text-3xl font-bold mb-4">{t("how.title")}</h2>
           <div className="grid md:grid-cols-3 gap-6">
-            {[
-              { t: "Create or Join Markets", d: "Spin up a question in minutes, or jump into trending markets backed by peers." },
-              { t: "Trade Outcomes with Pi", d: "Buy YES/NO shares using Pi. Prices shift based on demand—no AMMs, ever." },
-              { t: "Resolve Fairly", d: "Outcomes are resolved via clear criteria and community-reviewed sources." },
-            ].map((x, i) => (
+            {tm("how.items").map((x, i) => (
               <HaloBox key={i} variant="pink">
                 <div className="text-lg font-semibold">{x.t}</div>
-                <div className="text-white/75 mt-2">{x.d}</div>
+                <div className="text-fg/75 mt-2">{x.d}</div>
               </HaloBox>
             ))}
           </div>
+          <PayoutSimulator />
         </section>
 
+        {/* Featured markets (a preview before launch) */}
+        <FeaturedMarkets teaser={preLaunch} />
+
         {/* Beta perks */}
         <section id="perks" className="w-full max-w-6xl mx-auto px-5 md:px-8 py-12 md:py-16">
-          <h2 className="text-2xl md:text-3xl font-bold mb-4">Beta Access & Perks</h2>
+          <h2 className="text-2xl md:text-3xl font-bold mb-4">{t("perks.title")}</h2>
           <div className="grid md:grid-cols-3 gap-6">
-            {[
-              { h: "Founding Predictor", b: "First 1,000 verified beta users get a permanent profile badge and priority invites." },
-              { h: "Referral Boosts", b: "Share ?ref=YOU. Each active friend moves you up the waitlist." },
-              { h: "Influencer Program", b: "Creators can earn a share of trading fees from referred users—apply early." },
-            ].map((x, i) => (
+            {tm("perks.items").map((x, i) => (
               <HaloBox key={i} variant="orange">
                 <div className="text-lg font-semibold">{x.h}</div>
-                <div className="text-white/75 mt-2">{x.b}</div>
+                <div className="text-fg/75 mt-2">{x.b}</div>
               </HaloBox>
             ))}
           </div>
           <div className="flex gap-3 mt-6">
-            <GradientButton href="#waitlist">Get on the List</GradientButton>
+            <GradientButton href="#waitlist" cta="perks_join_waitlist">{t("perks.cta")}</GradientButton>
             <a
               href="/influencers"
-              className="px-5 py-3 rounded-2xl ring-1 hover:bg-white/5"
+              data-cta="perks_apply_influencer"
+              className="px-5 py-3 rounded-2xl ring-1 hover:bg-fg/5"
               style={{ borderColor: COLORS.borderSoft }}
             >
-              Apply as Influencer
+              {t("perks.influencer")}
             </a>
           </div>
         </section>
 
+        {/* Referral leaderboard + share kit */}
+        <Leaderboard referral={referral} preLaunch={preLaunch} />
+
         {/* Roadmap */}
         <section id="roadmap" className="w-full max-w-6xl mx-auto px-5 md:px-8 py-12 md:py-16">
-          <h2 className="text-2xl md:text-3xl font-bold mb-4">Roadmap</h2>
+          <h2 className="text-2xl md:text-3xl font-bold mb-4">{t("roadmap.title")}</h2>
           <div className="grid md:grid-cols-4 gap-6">
-            {[
-              { s: "Now", t: "Private Alpha", d: "Internal testing, security hardening, resolution playbooks." },
-              { s: "Pre-Launch", t: "Closed Beta", d: "Invite wave 1–3, referral boosts, influencer onboarding." },
-              { s: "Launch", t: "Public Release", d: "Open signups, featured markets, staking for market creation." },
-              { s: "+", t: "Growth", d: "Leaderboards, tournaments, more resolution providers, analytics, and a move towards full decentralization, oracles, and onchain tracking." },
-            ].map((x, i) => (
+            {tm("roadmap.items").map((x, i) => (
               <HaloBox key={i} variant="orange">
-                <div className="text-sm text-white/70">{x.s}</div>
+                <div className="text-sm text-fg/70">{x.s}</div>
                 <div className="text-lg font-semibold mt-1">{x.t}</div>
-                <div className="text-white/75 mt-2">{x.d}</div>
+                <div className="text-fg/75 mt-2">{x.d}</div>
               </HaloBox>
             ))}
           </div>
+
+          <h3 className="text-lg font-semibold mt-10 mb-3">{t("schedule.title")}</h3>
+          <div className="grid gap-2">
+            {phases.map((p) => (
+              <div
+                key={p.id}
+                className="flex flex-wrap items-center justify-between gap-x-6 gap-y-1 rounded-xl ring-1 px-4 py-3"
+                style={{ borderColor: COLORS.borderSoft }}
+              >
+                <div className="font-semibold">
+                  {phaseLabel(p)}
+                  {p.id === current?.id && (
+                    <span className="ms-2 text-xs font-normal" style={{ color: COLORS.accentCyan }}>
+                      {t("schedule.now")}
+                    </span>
+                  )}
+                </div>
+                <div className="text-sm text-fg/70 flex flex-wrap gap-x-3">
+                  <MilestoneTime at={p.at} />
+                  {p.at > now && <CalendarButton phase={localized(p)} />}
+                </div>
+              </div>
+            ))}
+          </div>
         </section>
 
         {/* FAQ */}
         <section id="faq" className="w-full max-w-6xl mx-auto px-5 md:px-8 py-12 md:py-16">
-          <h2 className="text-2xl md:text-3xl font-bold mb-4">FAQ</h2>
+          <h2 className="text-2xl md:text-3xl font-bold mb-4">{t("faq.title")}</h2>
           <div className="grid md:grid-cols-2 gap-6">
-            {[
-              { q: "Do I need Pi to join the beta?", a: "You can join the waitlist with email only. Trading uses Pi once your account is activated." },
-              { q: "Is this like a casino?", a: "No. PredictPix does not rely on liquidity pools or AMM mechanics (no hidden house edge), it operates on peer-to-peer participation only, ensuring fairness and transparency." },
-              { q: "How are outcomes resolved?", a: "Each market has clear criteria and sources; disputes can be reviewed per our resolution policy." },
-              { q: "Can I create markets?", a: "Yes—create with clear criteria and a Pi stake. Implements strict ethical guidelines prohibiting harmful, exploitative, or non-compliant markets." },
-            ].map((x, i) => (
+            {tm("faq.items").map((x, i) => (
               <HaloBox key={i} variant="pink">
                 <div className="font-semibold">{x.q}</div>
-                <div className="text-white/75 mt-2">{x.a}</div>
+                <div className="text-fg/75 mt-2">{x.a}</div>
               </HaloBox>
             ))}
           </div>
         </section>
       </main>
 
-      {/* Footer */}
-      <footer className="w-full mt-8 border-t" style={{ borderColor: COLORS.borderSoft }}>
-        <div className="max-w-6xl mx-auto px-5 md:px-8 py-10 grid md:grid-cols-2 gap-6 items-center">
-          <div className="text-white/75 text-sm">© {new Date().getFullYear()} PredictPix • All rights reserved.</div>
-          <div className="flex md:justify-end gap-5 text-sm">
-            <a href="/privacy" className="hover:text-white">Privacy</a>
-            <a href="/terms" className="hover:text-white">Terms</a>
-            <a href="https://t.me/predictpix" target="_blank" rel="noreferrer" className="hover:text-white">Telegram</a>
-            <a href="https://x.com/predictpix" target="_blank" rel="noreferrer" className="hover:text-white">X</a>
-            <a href="mailto:team@predictpix.com" className="hover:text-white">Contact</a>
-          </div>
-        </div>
-      </footer>
+      <SiteFooter />
     </div>
   );
 }
@@ -0,0 +1,44 @@
+import React from "react";
+import useConsent from "../hooks/useConsent";
+import { setConsent } from "../lib/analytics";
+import { COLORS, gradient } from "../theme";
+import { useI18n } from "../i18n/context";
+
+// Asks once for analytics consent; hidden after a choice or when the browser sends Do Not Track.
+export default function ConsentBanner() {
+  const { t, rich } = useI18n();
+  const consent = useConsent();
+  if (consent !== null) return null;
+
+  return (
+    <div
+      role="region"
+      aria-label={t("consent.label")}
+      className="fixed bottom-4 inset-x-4 md:inset-x-auto md:end-4 md:max-w-md z-50 rounded-2xl p-4 text-sm shadow-lg grid gap-3"
+      style={{ backgroundColor: COLORS.card, color: COLORS.text, border: `1px solid ${COLORS.borderSoft}` }}
+    >
+      <p className="text-fg/80">
+        {rich("consent.text", {
+          privacy: (
+            <a className="underline" href="/privacy">
+              {t("waitlist.privacyPolicy")}
+            </a>
+          ),
+        })}
+      </p>
+      <div className="flex gap-3 justify-end">
+        <button type="button" onClick={() => setConsent("denied")} className="px-4 py-2 rounded-xl ring-1 hover:bg-fg/5">
+          {t("consent.decline")}
+        </button>
+        <button
+          type="button"
+          onClick={() => setConsent("granted")}
+          className="px-4 py-2 rounded-xl font-semibold text-on-accent"
+          style={{ background: gradient("pink", 30), color: COLORS.textOnAccent }}
+        >
+          {t("consent.accept")}
+        </button>
+      </div>
+    </div>
+  );
+}
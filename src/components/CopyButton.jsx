@@ -0,0 +1,24 @@
+import React, { useState } from "react";
+import { useI18n } from "../i18n/context";
+
+/** Copies `text` to the clipboard and says so for two seconds. */
+export default function CopyButton({ text, cta }) {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      // Clipboard blocked (insecure context / permissions): the text is still selectable.
+    }
+  }
+
+  return (
+    <button type="button" onClick={copy} data-cta={cta} className="px-3 py-1 rounded-lg ring-1 hover:bg-fg/5">
+      <span aria-live="polite">{copied ? t("referral.copied") : t("referral.copy")}</span>
+    </button>
+  );
+}
@@ -0,0 +1,88 @@
+import React from "react";
+import useFeaturedMarkets from "../hooks/useFeaturedMarkets";
+import { formatCount, formatPi, formatPrice } from "../lib/format";
+import { COLORS } from "../theme";
+import { useI18n } from "../i18n/context";
+import HaloBox from "./HaloBox";
+import Sparkline from "./Sparkline";
+
+function Price({ side, value, color }) {
+  const { t, locale } = useI18n();
+  return (
+    <div>
+      <div className="text-xs font-semibold tracking-widest" style={{ color }}>{t(`markets.${side}`)}</div>
+      <div className="text-xl font-bold tabular-nums">{t("markets.price", { price: formatPrice(value, locale) })}</div>
+    </div>
+  );
+}
+
+function MarketCard({ market, teaser }) {
+  const { t, locale } = useI18n();
+  const first = market.history[0]?.yes ?? market.yesPrice;
+  return (
+    <HaloBox
+      as="a"
+      href={`/app/markets/${encodeURIComponent(market.id)}`}
+      data-cta="featured_market"
+      variant="pink"
+      className="rounded-2xl p-5 md:p-6 flex flex-col gap-3 hover:opacity-95"
+    >
+      <div className="flex items-center justify-between gap-3 text-xs text-fg/60">
+        <span className="uppercase tracking-widest">{market.category}</span>
+        <span>
+          {t("markets.closes", { date: new Date(market.closesAt).toLocaleDateString(locale, { dateStyle: "medium" }) })}
+        </span>
+      </div>
+      <h3 className="text-lg font-semibold leading-snug">{market.question}</h3>
+      <p className="text-xs text-fg/60">{market.resolution}</p>
+      <div className="flex items-end justify-between gap-3 mt-auto">
+        <div className="flex gap-4">
+          <Price side="yes" value={market.yesPrice} color={COLORS.accentCyan} />
+          <Price side="no" value={market.noPrice} color={COLORS.accentPink} />
+        </div>
+        <Sparkline
+          history={market.history}
+          label={t("markets.history", {
+            days: formatCount(market.history.length, locale),
+            from: formatPrice(first, locale),
+            to: formatPrice(market.yesPrice, locale),
+          })}
+        />
+      </div>
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-fg/70">{t("markets.volume", { volume: formatPi(market.volumePi, locale) })}</span>
+        <span className="font-semibold" style={{ color: COLORS.accentOrange }}>
+          {teaser ? t("markets.preview") : t("markets.trade")} →
+        </span>
+      </div>
+    </HaloBox>
+  );
+}
+
+/**
+ * Featured markets from `/api/markets/featured`. Before launch (`teaser`) it shows fewer cards
+ * framed as a preview and stays hidden if the feed is down.
+ */
+export default function FeaturedMarkets({ teaser = false }) {
+  const { t } = useI18n();
+  const { markets, status } = useFeaturedMarkets({ limit: teaser ? 3 : 6 });
+  if (teaser && status === "error") return null;
+
+  return (
+    <section id="markets" className="w-full max-w-6xl mx-auto px-5 md:px-8 py-12 md:py-16">
+      <h2 className="text-2xl md:text-3xl font-bold">{teaser ? t("markets.teaserTitle") : t("markets.title")}</h2>
+      <p className="text-fg/70 mt-2 mb-6">{teaser ? t("markets.teaserIntro") : t("markets.intro")}</p>
+      {status === "ready" ? (
+        <div className="grid md:grid-cols-3 gap-6">
+          {markets.map((m) => (
+            <MarketCard key={m.id} market={m} teaser={teaser} />
+          ))}
+        </div>
+      ) : (
+        <div className="text-sm text-fg/60" aria-busy={status === "loading"}>
+          {status === "loading" ? t("markets.loading") : t("markets.error")}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,39 @@
+import React, { useEffect, useRef } from "react";
+import { COLORS } from "../theme";
+
+const LOOKS = {
+  error: { icon: "⚠", color: COLORS.danger },
+  success: { icon: "✓", color: COLORS.success },
+  pending: { icon: "↻", color: COLORS.accentAmber },
+};
+
+/**
+ * Result of a form submission (`{ type: "success" | "error" | "pending", text }`), marked with an
+ * icon as well as a colour. With `focus` it takes focus whenever the message changes so keyboard
+ * and screen-reader users land on the outcome; otherwise it is announced as a live region.
+ * "pending" is for submissions that will complete later (the offline signup queue).
+ */
+export default function FormMessage({ id, message, focus = true, className = "text-sm" }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (message && focus) ref.current?.focus();
+  }, [message, focus]);
+
+  if (!message) return null;
+  const error = message.type === "error";
+  const look = LOOKS[message.type] || LOOKS.success;
+  return (
+    <div
+      ref={ref}
+      id={id}
+      tabIndex={-1}
+      role={focus ? undefined : error ? "alert" : "status"}
+      className={`${className} flex items-start gap-2`}
+      style={{ color: look.color }}
+    >
+      <span aria-hidden="true">{look.icon}</span>
+      <span>{message.text}</span>
+    </div>
+  );
+}
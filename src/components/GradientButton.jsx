@@ -0,0 +1,22 @@
+import React from "react";
+import { COLORS, gradient } from "../theme";
+
+const CLS =
+  "inline-flex items-center justify-center rounded-2xl px-5 py-3 font-semibold shadow-lg hover:opacity-95 motion-safe:transition";
+
+/**
+ * Primary call to action filled with a registered gradient variant.
+ * Renders a link when `href` is set, otherwise a button (which submits an enclosing form); `cta` names it for analytics.
+ */
+export default function GradientButton({ children, href, onClick, variant = "pink", cta }) {
+  const style = { background: gradient(variant, 30), color: COLORS.textOnAccent };
+  return href ? (
+    <a href={href} className={CLS} style={style} data-cta={cta}>
+      {children}
+    </a>
+  ) : (
+    <button onClick={onClick} className={CLS} style={style} data-cta={cta}>
+      {children}
+    </button>
+  );
+}
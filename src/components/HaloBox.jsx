@@ -0,0 +1,36 @@
+import React from "react";
+import useReducedMotion from "../hooks/useReducedMotion";
+import { COLORS, glow, gradient } from "../theme";
+
+/**
+ * Card with a gradient "halo" outline around a solid interior.
+ * `variant` is any name from the theme's variant registry; `as` renders a different element
+ * (e.g. "form"), and `className` replaces the default shape/padding. The glow is dropped for
+ * visitors who prefer reduced motion.
+ */
+export default function HaloBox({
+  variant = "pink",
+  as = "div",
+  glow: withGlow = true,
+  className = "rounded-2xl p-5 md:p-6",
+  style,
+  children,
+  ...rest
+}) {
+  const Tag = as;
+  const reduceMotion = useReducedMotion();
+  return (
+    <Tag
+      className={className}
+      style={{
+        background: `linear-gradient(${COLORS.card}, ${COLORS.card}) padding-box, ${gradient(variant)} border-box`,
+        border: "1px solid transparent",
+        boxShadow: withGlow && !reduceMotion ? glow(variant) : undefined,
+        ...style,
+      }}
+      {...rest}
+    >
+      {children}
+    </Tag>
+  );
+}
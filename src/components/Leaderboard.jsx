@@ -0,0 +1,90 @@
+import React from "react";
+import useLeaderboard from "../hooks/useLeaderboard";
+import { formatCount } from "../lib/format";
+import { COLORS } from "../theme";
+import { useI18n } from "../i18n/context";
+import HaloBox from "./HaloBox";
+import GradientButton from "./GradientButton";
+import ShareKit from "./ShareKit";
+
+function Standing({ you }) {
+  const { t, locale } = useI18n();
+  if (!you) return null;
+  return (
+    <p className="text-sm mb-4" style={{ color: COLORS.accentCyan }}>
+      {you.rank
+        ? t("leaderboard.you", { rank: formatCount(you.rank, locale), confirmed: formatCount(you.confirmed, locale) })
+        : t("leaderboard.youUnranked")}
+    </p>
+  );
+}
+
+function Board({ leaders, status }) {
+  const { t, locale } = useI18n();
+  if (status !== "ready") {
+    return (
+      <div className="text-sm text-fg/60" aria-busy={status === "loading"}>
+        {status === "loading" ? t("leaderboard.loading") : t("leaderboard.error")}
+      </div>
+    );
+  }
+  if (!leaders.length) return <p className="text-sm text-fg/60">{t("leaderboard.empty")}</p>;
+  return (
+    <table className="w-full text-sm">
+      <caption className="sr-only">{t("leaderboard.title")}</caption>
+      <thead className="text-fg/60 text-xs uppercase tracking-widest">
+        <tr>
+          <th scope="col" className="text-start font-normal pb-2 w-12">{t("leaderboard.rank")}</th>
+          <th scope="col" className="text-start font-normal pb-2">{t("leaderboard.name")}</th>
+          <th scope="col" className="text-end font-normal pb-2">{t("leaderboard.confirmed")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {leaders.map((l, i) => (
+          <tr key={i} className="border-t" style={{ borderColor: COLORS.borderSoft }}>
+            <td className="py-2 tabular-nums font-semibold" style={l.rank <= 3 ? { color: COLORS.accentOrange } : undefined}>
+              {formatCount(l.rank, locale)}
+            </td>
+            <td className="py-2 truncate max-w-0 w-full" dir="ltr">{l.name}</td>
+            <td className="py-2 text-end tabular-nums">{formatCount(l.confirmed, locale)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Public referral leaderboard from `/api/leaderboard`, next to the visitor's share kit once they
+ * have a referral code. Before launch (`preLaunch`) everyone else gets a nudge to join the waitlist.
+ */
+export default function Leaderboard({ referral, preLaunch }) {
+  const { t } = useI18n();
+  const { leaders, you, status } = useLeaderboard({ code: referral?.code });
+
+  return (
+    <section id="leaderboard" className="w-full max-w-6xl mx-auto px-5 md:px-8 py-12 md:py-16">
+      <h2 className="text-2xl md:text-3xl font-bold">{t("leaderboard.title")}</h2>
+      <p className="text-fg/70 mt-2 mb-6">{t("leaderboard.intro")}</p>
+      <div className="grid md:grid-cols-2 gap-6">
+        <HaloBox variant="pink">
+          <Standing you={you} />
+          <Board leaders={leaders} status={status} />
+        </HaloBox>
+        {referral ? (
+          <HaloBox variant="orange">
+            <ShareKit code={referral.code} />
+          </HaloBox>
+        ) : (
+          preLaunch && (
+            <HaloBox variant="orange">
+              <h3 className="text-xl font-semibold">{t("share.title")}</h3>
+              <p className="text-fg/70 mt-2 mb-5">{t("share.joinFirst")}</p>
+              <GradientButton href="#waitlist" cta="leaderboard_join_waitlist">{t("nav.joinWaitlist")}</GradientButton>
+            </HaloBox>
+          )
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,73 @@
+import React, { useMemo } from "react";
+import { parseMarkdown } from "../lib/markdown";
+import { COLORS } from "../theme";
+
+const HEADING_CLS = {
+  1: "text-3xl md:text-4xl font-bold mt-2",
+  2: "text-xl md:text-2xl font-semibold mt-8",
+  3: "text-lg font-semibold mt-6",
+};
+
+function Inline({ nodes }) {
+  return nodes.map((n, i) => {
+    switch (n.type) {
+      case "strong":
+        return <strong key={i}><Inline nodes={n.children} /></strong>;
+      case "em":
+        return <em key={i}><Inline nodes={n.children} /></em>;
+      case "code":
+        return <code key={i} className="px-1 rounded bg-inset/30">{n.value}</code>;
+      case "link": {
+        const external = /^https?:/.test(n.href);
+        return (
+          <a
+            key={i}
+            href={n.href}
+            className="underline"
+            style={{ color: COLORS.accentCyan }}
+            {...(external ? { target: "_blank", rel: "noreferrer" } : {})}
+          >
+            <Inline nodes={n.children} />
+          </a>
+        );
+      }
+      default:
+        return n.value;
+    }
+  });
+}
+
+// Renders a Markdown string (see lib/markdown.js for the supported subset).
+export default function Markdown({ source }) {
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+  return (
+    <div className="grid gap-4 leading-relaxed text-fg/80">
+      {blocks.map((b, i) => {
+        switch (b.type) {
+          case "heading": {
+            const Tag = `h${b.level}`;
+            return (
+              <Tag key={i} id={b.id} className={`${HEADING_CLS[b.level] || HEADING_CLS[3]} text-fg`}>
+                <Inline nodes={b.children} />
+              </Tag>
+            );
+          }
+          case "list": {
+            const Tag = b.ordered ? "ol" : "ul";
+            return (
+              <Tag key={i} className={`${b.ordered ? "list-decimal" : "list-disc"} ps-6 grid gap-1`}>
+                {b.items.map((item, j) => (
+                  <li key={j}><Inline nodes={item} /></li>
+                ))}
+              </Tag>
+            );
+          }
+          case "rule":
+            return <hr key={i} style={{ borderColor: COLORS.borderSoft }} />;
+          default:
+            return <p key={i}><Inline nodes={b.children} /></p>;
+        }
+      })}
+    </div>
+  );
+}
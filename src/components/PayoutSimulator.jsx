@@ -0,0 +1,150 @@
+import React, { useId, useState } from "react";
+import FEES from "../config/fees.json";
+import { MAX_PRICE, MIN_PRICE, SIDES, sampleBook, simulatePayout } from "../lib/payoutSim";
+import { formatPrice } from "../lib/format";
+import { COLORS } from "../theme";
+import { useI18n } from "../i18n/context";
+import HaloBox from "./HaloBox";
+
+const fieldCls = "w-full rounded-xl bg-inset/30 px-4 py-3 outline-none ring-1 focus:ring-2";
+const SIDE_COLORS = { yes: COLORS.accentCyan, no: COLORS.accentPink };
+
+function Outcome({ title, receive, net }) {
+  const { t, locale } = useI18n();
+  const signed = new Intl.NumberFormat(locale, { signDisplay: "exceptZero", minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return (
+    <div className="rounded-xl bg-inset/30 ring-1 p-4" style={{ borderColor: COLORS.borderSoft }}>
+      <div className="text-sm text-fg/70">{title}</div>
+      <div className="text-2xl font-bold tabular-nums mt-1">{t("sim.pi", { amount: formatPrice(receive, locale) })}</div>
+      <div className="text-sm tabular-nums" style={{ color: net >= 0 ? COLORS.success : COLORS.danger }}>
+        {t("sim.net", { amount: signed.format(net) })}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * "How it works" explainer: pick a side, price and stake and see the order matched against peers
+ * and settled for each outcome. The maths lives in src/lib/payoutSim.js.
+ */
+export default function PayoutSimulator() {
+  const { t, locale } = useI18n();
+  const id = useId();
+  const [side, setSide] = useState("yes");
+  const [price, setPrice] = useState(0.6);
+  const [stake, setStake] = useState("30");
+
+  const amount = Math.min(100000, Math.max(0, Number(stake) || 0));
+  const book = sampleBook(side, price);
+  const sim = amount > 0 ? simulatePayout({ side, price, stake: amount, book, fees: FEES }) : null;
+  const pi = (n) => t("sim.pi", { amount: formatPrice(n, locale) });
+  const sideLabel = (s) => t(`markets.${s}`);
+
+  return (
+    <HaloBox variant="orange" className="rounded-2xl p-5 md:p-6 mt-6 grid md:grid-cols-2 gap-6">
+      <div className="grid gap-4 content-start">
+        <div>
+          <h3 className="text-lg font-semibold">{t("sim.title")}</h3>
+          <p className="text-fg/70 text-sm mt-1">{t("sim.intro")}</p>
+        </div>
+
+        <fieldset className="grid gap-2">
+          <legend className="text-sm text-fg/80 mb-2">{t("sim.side")}</legend>
+          <div className="flex gap-3">
+            {SIDES.map((s) => (
+              <label
+                key={s}
+                className="flex-1 text-center rounded-xl ring-1 px-4 py-2 font-semibold cursor-pointer has-[:focus-visible]:ring-2"
+                style={side === s ? { borderColor: SIDE_COLORS[s], color: SIDE_COLORS[s], background: COLORS.card } : { borderColor: COLORS.borderSoft }}
+              >
+                <input type="radio" name={`${id}-side`} value={s} checked={side === s} onChange={() => setSide(s)} className="sr-only" />
+                {sideLabel(s)}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <div className="grid gap-1">
+          <label className="text-sm text-fg/80" htmlFor={`${id}-price`}>
+            {t("sim.price", { side: sideLabel(side) })}
+          </label>
+          <div className="flex items-center gap-3">
+            <input
+              id={`${id}-price`}
+              type="range"
+              min={MIN_PRICE}
+              max={MAX_PRICE}
+              step={0.01}
+              value={price}
+              onChange={(e) => setPrice(Number(e.target.value))}
+              aria-valuetext={pi(price)}
+              className="flex-1"
+            />
+            <output htmlFor={`${id}-price`} className="tabular-nums w-20 text-end">{pi(price)}</output>
+          </div>
+          <div className="text-xs text-fg/50">{t("sim.priceHint", { chance: Math.round(price * 100) })}</div>
+        </div>
+
+        <div className="grid gap-1">
+          <label className="text-sm text-fg/80" htmlFor={`${id}-stake`}>{t("sim.stake")}</label>
+          <input
+            id={`${id}-stake`}
+            type="number"
+            inputMode="decimal"
+            min={1}
+            max={100000}
+            step="any"
+            value={stake}
+            onChange={(e) => setStake(e.target.value)}
+            className={fieldCls}
+            style={{ borderColor: COLORS.borderSoft }}
+          />
+        </div>
+
+        <p className="text-xs text-fg/60">
+          {t("sim.fees", { trade: FEES.tradeFeePct, winnings: FEES.winningsFeePct })}
+        </p>
+      </div>
+
+      {sim ? (
+        <div className="grid gap-4 content-start">
+          <div>
+            <div className="text-sm font-semibold">{t("sim.bookTitle", { side: sideLabel(side === "yes" ? "no" : "yes") })}</div>
+            <ul className="mt-2 grid gap-1 text-sm">
+              {book.map((order) => {
+                const fill = sim.fills.find((f) => f.peer === order.peer);
+                return (
+                  <li key={order.peer} className={`flex justify-between gap-3 ${fill ? "" : "text-fg/50"}`}>
+                    <span>{t("sim.peer", { peer: order.peer, price: pi(order.price) })}</span>
+                    <span className="tabular-nums">
+                      {fill
+                        ? t("sim.filled", { shares: formatPrice(fill.shares, locale), stake: pi(fill.peerStake) })
+                        : order.price >= 1 - price - 1e-9
+                          ? t("sim.notNeeded")
+                          : t("sim.noMatch")}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+            <p className="text-sm text-fg/70 mt-3">
+              {t("sim.pot", { pot: pi(sim.pot), yours: pi(sim.matchedStake), peers: pi(sim.pot - sim.matchedStake) })}
+            </p>
+            {sim.unmatchedStake > 0 && (
+              <p className="text-sm mt-1" style={{ color: COLORS.accentAmber }}>{t("sim.unmatched", { amount: pi(sim.unmatchedStake) })}</p>
+            )}
+          </div>
+
+          <div className="grid sm:grid-cols-3 gap-3">
+            <Outcome title={t("sim.ifResolves", { side: sideLabel("yes") })} {...sim.outcomes.yes} />
+            <Outcome title={t("sim.ifResolves", { side: sideLabel("no") })} {...sim.outcomes.no} />
+            <Outcome title={t("sim.ifVoid")} {...sim.outcomes.void} />
+          </div>
+          <p className="text-xs text-fg/60">{t("sim.noHouse", { fee: pi(sim.fees.winnings + sim.fees.trade) })}</p>
+        </div>
+      ) : (
+        <p className="text-sm text-fg/60">{t("sim.enterStake")}</p>
+      )}
+    </HaloBox>
+  );
+}
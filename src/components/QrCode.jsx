@@ -0,0 +1,26 @@
+import React, { useMemo } from "react";
+import { encodeQr } from "../lib/qr";
+import { BRAND } from "../theme";
+
+const QUIET = 4;
+
+/**
+ * `value` as an inline SVG QR code, encoded in the browser (src/lib/qr.js). Always dark on white
+ * whatever the theme, since that's what phone cameras read best; `label` is its text alternative.
+ */
+export default function QrCode({ value, label, size = 160 }) {
+  const { size: modules, path } = useMemo(() => {
+    const qr = encodeQr(value);
+    const d = qr.modules
+      .flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + QUIET} ${y + QUIET}h1v1h-1z` : "")))
+      .join("");
+    return { size: qr.size, path: d };
+  }, [value]);
+  const dim = modules + QUIET * 2;
+  return (
+    <svg viewBox={`0 0 ${dim} ${dim}`} width={size} height={size} role="img" aria-label={label} shapeRendering="crispEdges" className="rounded-xl">
+      <rect width={dim} height={dim} fill="#FFFFFF" />
+      <path d={path} fill={BRAND.bg} />
+    </svg>
+  );
+}
@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import { referralLink, shareLinks } from "../lib/share";
+import { downloadShareCard } from "../lib/shareCard";
+import { COLORS } from "../theme";
+import { useI18n } from "../i18n/context";
+import CopyButton from "./CopyButton";
+import GradientButton from "./GradientButton";
+import QrCode from "./QrCode";
+
+const CHANNEL = "px-4 py-2 rounded-xl ring-1 hover:bg-fg/5 text-sm";
+
+/**
+ * Everything a subscriber needs to spread their referral link: the link itself, a QR code,
+ * prefilled Telegram and X posts and a downloadable share card (src/lib/shareCard.js).
+ * All of it is generated in the browser.
+ */
+export default function ShareKit({ code }) {
+  const { t, dir } = useI18n();
+  const [cardFailed, setCardFailed] = useState(false);
+  const link = referralLink(code);
+  const channels = shareLinks(link, t("share.text"));
+
+  async function downloadCard() {
+    setCardFailed(false);
+    try {
+      await downloadShareCard(`predictpix-${code}.png`, {
+        link,
+        title: t("share.cardTitle"),
+        subtitle: t("share.cardSubtitle"),
+        dir,
+      });
+    } catch {
+      setCardFailed(true);
+    }
+  }
+
+  return (
+    <div>
+      <h3 className="text-xl font-semibold">{t("share.title")}</h3>
+      <p className="text-fg/70 text-sm mt-1">{t("share.intro")}</p>
+      <div className="flex flex-col sm:flex-row gap-5 mt-4">
+        <QrCode value={link} label={t("share.qrLabel")} />
+        <div className="flex-1 min-w-0 flex flex-col gap-3">
+          <div className="rounded-xl bg-inset/30 ring-1 p-3 text-sm" style={{ borderColor: COLORS.borderSoft }}>
+            <div className="text-fg/70">{t("referral.linkLabel")}</div>
+            <div className="flex items-center gap-2 mt-1">
+              <code className="flex-1 truncate text-fg" dir="ltr">{link}</code>
+              <CopyButton text={link} cta="share_copy_link" />
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <a
+              href={channels.telegram}
+              target="_blank"
+              rel="noreferrer"
+              data-cta="share_telegram"
+              className={CHANNEL}
+              style={{ borderColor: COLORS.borderSoft }}
+            >
+              {t("share.telegram")}
+            </a>
+            <a
+              href={channels.x}
+              target="_blank"
+              rel="noreferrer"
+              data-cta="share_x"
+              className={CHANNEL}
+              style={{ borderColor: COLORS.borderSoft }}
+            >
+              {t("share.x")}
+            </a>
+          </div>
+          <div>
+            <GradientButton onClick={downloadCard} variant="orange" cta="share_download_card">
+              {t("share.download")}
+            </GradientButton>
+            {cardFailed && (
+              <p role="alert" className="text-sm mt-2" style={{ color: COLORS.danger }}>
+                {t("share.downloadError")}
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
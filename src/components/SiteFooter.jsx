@@ -0,0 +1,27 @@
+import React from "react";
+import { setConsent } from "../lib/analytics";
+import { COLORS } from "../theme";
+import { useI18n } from "../i18n/context";
+
+export default function SiteFooter() {
+  const { t, locale } = useI18n();
+  return (
+    <footer className="w-full mt-8 border-t" style={{ borderColor: COLORS.borderSoft }}>
+      <div className="max-w-6xl mx-auto px-5 md:px-8 py-10 grid md:grid-cols-2 gap-6 items-center">
+        <div className="text-fg/75 text-sm">
+          {t("footer.rights", { year: new Intl.NumberFormat(locale, { useGrouping: false }).format(new Date().getFullYear()) })}
+        </div>
+        <div className="flex flex-wrap md:justify-end gap-x-5 gap-y-2 text-sm">
+          <a href="/privacy" className="hover:text-fg">{t("footer.privacy")}</a>
+          <a href="/terms" className="hover:text-fg">{t("footer.terms")}</a>
+          <button type="button" onClick={() => setConsent(null)} className="hover:text-fg">
+            {t("footer.privacyChoices")}
+          </button>
+          <a href="https://t.me/predictpix" target="_blank" rel="noreferrer" className="hover:text-fg">{t("footer.telegram")}</a>
+          <a href="https://x.com/predictpix" target="_blank" rel="noreferrer" className="hover:text-fg">{t("footer.x")}</a>
+          <a href="mailto:team@predictpix.com" className="hover:text-fg">{t("footer.contact")}</a>
+        </div>
+      </div>
+    </footer>
+  );
+}
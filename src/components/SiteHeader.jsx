@@ -0,0 +1,106 @@
+import React from "react";
+import useActiveSection from "../hooks/useActiveSection";
+import useTheme from "../hooks/useTheme";
+import { COLORS, THEME_NAMES, glow, gradient } from "../theme";
+import { useI18n } from "../i18n/context";
+import { LOCALES } from "../i18n/i18n";
+
+const SECTIONS = ["how", "perks", "leaderboard", "roadmap", "faq"];
+
+function LanguageSwitcher() {
+  const { t, locale, setLocale } = useI18n();
+  return (
+    <label className="text-sm text-fg/80">
+      <span className="sr-only">{t("nav.language")}</span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="rounded-xl bg-inset/30 ring-1 px-2 py-2 outline-none focus:ring-2"
+        style={{ borderColor: COLORS.borderSoft }}
+      >
+        {LOCALES.map((l) => (
+          <option key={l.code} value={l.code} lang={l.code}>
+            {l.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+function ThemeSwitcher() {
+  const { t } = useI18n();
+  const [theme, setTheme] = useTheme();
+  return (
+    <label className="text-sm text-fg/80">
+      <span className="sr-only">{t("theme.label")}</span>
+      <select
+        value={theme}
+        onChange={(e) => setTheme(e.target.value)}
+        className="rounded-xl bg-inset/30 ring-1 px-2 py-2 outline-none focus:ring-2"
+        style={{ borderColor: COLORS.borderSoft }}
+      >
+        {["system", ...THEME_NAMES].map((name) => (
+          <option key={name} value={name}>
+            {t(`theme.${name}`)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/**
+ * Logo, section nav, theme and language switchers shared by every public page.
+ * On the landing page (`home`) section links stay on-page and the one in view is highlighted;
+ * elsewhere they point back to `/#section`.
+ */
+export default function SiteHeader({ home = false, cta }) {
+  const { t } = useI18n();
+  const active = useActiveSection(home ? SECTIONS : []);
+
+  return (
+    <header className="w-full">
+      <div className="max-w-6xl mx-auto flex items-center justify-between px-5 md:px-8 py-5">
+        <a href="/" className="flex items-center gap-3">
+          <div
+            className="w-9 h-9 rounded-xl"
+            style={{
+              background: gradient("pink", 30),
+              boxShadow: glow("pink", 24),
+            }}
+          />
+          <div className="text-xl font-bold tracking-tight">
+            Predict<span style={{ color: COLORS.accentOrange }}>Pix</span>
+          </div>
+        </a>
+        <nav className="hidden md:flex items-center gap-6 text-fg/80">
+          {SECTIONS.map((id) => (
+            <a
+              key={id}
+              href={home ? `#${id}` : `/#${id}`}
+              aria-current={active === id ? "location" : undefined}
+              className={active === id ? "text-fg" : "hover:text-fg"}
+              style={active === id ? { textDecoration: "underline", textDecorationColor: COLORS.accentPink, textUnderlineOffset: 6 } : undefined}
+            >
+              {t(`nav.${id}`)}
+            </a>
+          ))}
+        </nav>
+        <div className="flex items-center gap-3">
+          <ThemeSwitcher />
+          <LanguageSwitcher />
+          {cta && (
+            <a
+              href={cta.href}
+              className="hidden md:inline-block text-sm px-4 py-2 rounded-xl ring-1 hover:bg-fg/5"
+              style={{ borderColor: COLORS.borderSoft }}
+            >
+              {cta.label}
+            </a>
+          )}
+        </div>
+      </div>
+    </header>
+  );
+}
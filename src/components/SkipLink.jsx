@@ -0,0 +1,17 @@
+import React from "react";
+import { COLORS } from "../theme";
+import { useI18n } from "../i18n/context";
+
+// First stop for keyboard users: hidden until focused, jumps past the header to <main id="main">.
+export default function SkipLink() {
+  const { t } = useI18n();
+  return (
+    <a
+      href="#main"
+      className="sr-only focus:not-sr-only focus:fixed focus:top-3 focus:start-3 focus:z-50 focus:px-4 focus:py-2 focus:rounded-xl focus:ring-2"
+      style={{ backgroundColor: COLORS.card, color: COLORS.text }}
+    >
+      {t("nav.skip")}
+    </a>
+  );
+}
@@ -0,0 +1,24 @@
+import React from "react";
+import { COLORS } from "../theme";
+
+const W = 120;
+const H = 36;
+const PAD = 2;
+
+// Prices are 0–1, so both lines share a fixed scale and NO mirrors YES.
+const points = (values) =>
+  values
+    .map((v, i) => `${(PAD + (i / Math.max(1, values.length - 1)) * (W - 2 * PAD)).toFixed(1)},${(PAD + (1 - v) * (H - 2 * PAD)).toFixed(1)}`)
+    .join(" ");
+
+/** Inline SVG YES/NO price history; `label` is its text alternative. */
+export default function Sparkline({ history, label }) {
+  const yes = history.map((p) => p.yes);
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} width={W} height={H} role="img" aria-label={label} className="overflow-visible" dir="ltr">
+      <line x1={PAD} x2={W - PAD} y1={H / 2} y2={H / 2} stroke={COLORS.borderSoft} strokeDasharray="2 3" />
+      <polyline points={points(yes.map((v) => 1 - v))} fill="none" stroke={COLORS.accentPink} strokeWidth="1.5" strokeOpacity="0.6" />
+      <polyline points={points(yes)} fill="none" stroke={COLORS.accentCyan} strokeWidth="2" strokeLinejoin="round" />
+    </svg>
+  );
+}
@@ -0,0 +1,7 @@
+import React from "react";
+import { themeCss } from "../theme";
+
+// Theme custom properties; rendered once by <App /> and baked into prerendered pages.
+export default function ThemeStyles() {
+  return <style>{themeCss()}</style>;
+}
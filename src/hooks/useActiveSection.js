@@ -0,0 +1,30 @@
+import { useEffect, useState } from "react";
+
+// Id of the section (from `ids`) currently crossing the middle of the viewport, or null.
+export default function useActiveSection(ids) {
+  const [active, setActive] = useState(null);
+  const key = ids.join(",");
+
+  useEffect(() => {
+    if (!key || typeof IntersectionObserver === "undefined") return undefined;
+    const visible = new Set();
+    const order = key.split(",");
+    const observer = new IntersectionObserver(
+      (entries) => {
+        for (const entry of entries) {
+          if (entry.isIntersecting) visible.add(entry.target.id);
+          else visible.delete(entry.target.id);
+        }
+        setActive(order.find((id) => visible.has(id)) || null);
+      },
+      { rootMargin: "-45% 0px -50% 0px" },
+    );
+    for (const id of order) {
+      const el = document.getElementById(id);
+      if (el) observer.observe(el);
+    }
+    return () => observer.disconnect();
+  }, [key]);
+
+  return active;
+}
@@ -0,0 +1,35 @@
+import { useEffect, useRef, useState } from "react";
+import useReducedMotion from "./useReducedMotion";
+
+// Tweens from the previous value to `target` (ease-out cubic) whenever it changes;
+// jumps straight there when the visitor prefers reduced motion.
+export default function useAnimatedNumber(target, duration = 800) {
+  const [value, setValue] = useState(target);
+  const current = useRef(target);
+  const reduceMotion = useReducedMotion();
+
+  useEffect(() => {
+    if (target == null) return;
+    const from = current.current ?? target;
+    if (from === target) return;
+    if (reduceMotion) {
+      current.current = target;
+      setValue(target);
+      return;
+    }
+
+    let raf;
+    const start = performance.now();
+    const step = (t) => {
+      const p = Math.min(1, (t - start) / duration);
+      const v = from + (target - from) * (1 - Math.pow(1 - p, 3));
+      current.current = v;
+      setValue(v);
+      if (p < 1) raf = requestAnimationFrame(step);
+    };
+    raf = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(raf);
+  }, [target, duration, reduceMotion]);
+
+  return value;
+}
@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from "react";
+import { getConsent, subscribeConsent } from "../lib/analytics";
+
+// Analytics consent: "granted", "denied" (including Do Not Track) or null while undecided.
+// Prerendered HTML treats it as decided so the banner isn't baked into static pages.
+export default function useConsent() {
+  return useSyncExternalStore(subscribeConsent, getConsent, () => "denied");
+}
@@ -0,0 +1,22 @@
+import { useEffect, useSyncExternalStore } from "react";
+import { controlVariant, getVariant, trackExposure } from "../lib/experiments";
+import useConsent from "./useConsent";
+
+// Assignments never change during a page load.
+const subscribe = () => () => {};
+
+/**
+ * The visitor's variant id for an experiment in src/config/experiments.json. Prerendered HTML
+ * uses the control variant. Also records the exposure for the experiment report, so call it only
+ * from the component that renders the variant.
+ */
+export default function useExperiment(id) {
+  const variant = useSyncExternalStore(subscribe, () => getVariant(id), () => controlVariant(id));
+  const consent = useConsent();
+
+  useEffect(() => {
+    if (consent === "granted") trackExposure(id);
+  }, [id, consent]);
+
+  return variant;
+}
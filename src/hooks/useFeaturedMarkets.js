@@ -0,0 +1,29 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Featured markets from `/api/markets/featured`, fetched once.
+ * status: "loading" | "ready" | "error"
+ */
+export default function useFeaturedMarkets({ limit = 6 } = {}) {
+  const [markets, setMarkets] = useState([]);
+  const [status, setStatus] = useState("loading");
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`/api/markets/featured?limit=${limit}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((data) => {
+        if (cancelled) return;
+        setMarkets(data.markets);
+        setStatus("ready");
+      })
+      .catch(() => {
+        if (!cancelled) setStatus("error");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [limit]);
+
+  return { markets, status };
+}
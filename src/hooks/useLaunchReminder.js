@@ -0,0 +1,55 @@
+import { useCallback, useEffect, useState } from "react";
+import { pushRegistration, subscribeToLaunch, unsubscribeFromLaunch } from "../lib/pwa";
+
+/**
+ * "Remind me at launch" opt-in. `status` is one of:
+ * - "unsupported": no push in this browser, no service worker yet or no keys on the server;
+ *   render nothing
+ * - "off" / "on": whether this browser is subscribed
+ * - "working": a toggle is in flight
+ * - "denied": notifications are blocked in the browser's settings
+ * - "error": the last toggle failed; `toggle()` may be retried
+ */
+export default function useLaunchReminder(locale) {
+  const [registration, setRegistration] = useState(null);
+  const [subscription, setSubscription] = useState(null);
+  const [status, setStatus] = useState("unsupported");
+
+  useEffect(() => {
+    let cancelled = false;
+    pushRegistration()
+      .then(async (reg) => {
+        if (!reg || cancelled) return;
+        // Stays hidden until the server has VAPID keys (`npm run push:keys`).
+        if (!(await fetch("/api/push/key")).ok) return;
+        const sub = await reg.pushManager.getSubscription();
+        if (cancelled) return;
+        setRegistration(reg);
+        setSubscription(sub);
+        setStatus(sub ? "on" : Notification.permission === "denied" ? "denied" : "off");
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const toggle = useCallback(async () => {
+    if (!registration) return;
+    setStatus("working");
+    try {
+      if (subscription) {
+        await unsubscribeFromLaunch(subscription);
+        setSubscription(null);
+        setStatus("off");
+      } else {
+        setSubscription(await subscribeToLaunch(registration, locale));
+        setStatus("on");
+      }
+    } catch (err) {
+      setStatus(err.code === "denied" ? "denied" : "error");
+    }
+  }, [registration, subscription, locale]);
+
+  return { status, toggle };
+}
@@ -0,0 +1,33 @@
+import { useEffect, useMemo, useState } from "react";
+import { countdownParts, normalizePhases, phaseAt } from "../lib/schedule";
+
+/**
+ * Ticking view of the launch timeline.
+ * - `clockOffset`: server skew correction from useServerClockOffset
+ * - `previewId`: phase id from `?preview=`; shifts the clock so that phase has just started
+ */
+export default function useLaunchSchedule(rawPhases, { clockOffset = 0, previewId = null } = {}) {
+  const phases = useMemo(() => normalizePhases(rawPhases), [rawPhases]);
+
+  const [previewOffset] = useState(() => {
+    const phase = phases.find((p) => p.id === previewId);
+    return phase ? phase.at - Date.now() : 0;
+  });
+
+  const [realNow, setRealNow] = useState(() => Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setRealNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  const now = realNow + clockOffset + previewOffset;
+  const { current, next } = phaseAt(phases, now);
+  return {
+    phases,
+    now,
+    current,
+    next,
+    preview: previewOffset !== 0,
+    ...countdownParts(next ? next.at - now : 0),
+  };
+}
@@ -0,0 +1,32 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Top referrers from `/api/leaderboard`, fetched once (and again when `code` changes).
+ * With the visitor's referral `code` the response also has `you: { rank, confirmed }`.
+ * status: "loading" | "ready" | "error"
+ */
+export default function useLeaderboard({ limit = 10, code } = {}) {
+  const [board, setBoard] = useState(null);
+  const [status, setStatus] = useState("loading");
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (code) params.set("code", code);
+    fetch(`/api/leaderboard?${params}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((data) => {
+        if (cancelled) return;
+        setBoard(data);
+        setStatus("ready");
+      })
+      .catch(() => {
+        if (!cancelled) setStatus("error");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [limit, code]);
+
+  return { leaders: board?.leaders ?? [], you: board?.you ?? null, status };
+}
@@ -0,0 +1,78 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Live platform stats from `/api/stats`.
+ * - Prefers Server-Sent Events (`${url}/stream`), falls back to polling `url`
+ * - status: "loading" | "live" | "stale" (no update for `staleAfterMs`) | "error" (nothing received yet)
+ */
+export default function useLiveStats({ url = "/api/stats", pollMs = 15000, staleAfterMs = 60000 } = {}) {
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+  const [receivedAt, setReceivedAt] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    let cancelled = false;
+    let source = null;
+    let pollId = null;
+
+    const accept = (data) => {
+      if (cancelled) return;
+      setStats(data);
+      setReceivedAt(Date.now());
+      setError(null);
+    };
+
+    async function poll() {
+      try {
+        const res = await fetch(url, { cache: "no-store" });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        accept(await res.json());
+      } catch (err) {
+        if (!cancelled) setError(err);
+      }
+    }
+
+    function startPolling() {
+      poll();
+      pollId = setInterval(poll, pollMs);
+    }
+
+    if (typeof EventSource === "function") {
+      let delivered = false;
+      source = new EventSource(`${url}/stream`);
+      source.addEventListener("stats", (e) => {
+        delivered = true;
+        accept(JSON.parse(e.data));
+      });
+      source.onerror = () => {
+        // EventSource retries by itself once a stream has worked; give up on it only if it
+        // never delivered anything or the server refused it outright.
+        if (delivered && source.readyState !== EventSource.CLOSED) return;
+        source.close();
+        source = null;
+        startPolling();
+      };
+    } else {
+      startPolling();
+    }
+
+    return () => {
+      cancelled = true;
+      source?.close();
+      clearInterval(pollId);
+    };
+  }, [url, pollMs]);
+
+  // Re-evaluate staleness even when no new data arrives.
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 5000);
+    return () => clearInterval(id);
+  }, []);
+
+  let status;
+  if (!stats) status = error ? "error" : "loading";
+  else status = now - receivedAt > staleAfterMs ? "stale" : "live";
+
+  return { stats, status, error, updatedAt: receivedAt ? new Date(receivedAt) : null };
+}
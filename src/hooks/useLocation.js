@@ -0,0 +1,13 @@
+import { useMemo, useSyncExternalStore } from "react";
+import { normalizePath, subscribe } from "../lib/router";
+
+const getHref = () => window.location.href;
+
+// Current { pathname, search, hash }, re-rendering on navigate() and back/forward.
+export default function useLocation() {
+  const href = useSyncExternalStore(subscribe, getHref, getHref);
+  return useMemo(() => {
+    const url = new URL(href);
+    return { pathname: normalizePath(url.pathname), search: url.search, hash: url.hash };
+  }, [href]);
+}
@@ -0,0 +1,26 @@
+import { useCallback, useEffect, useState } from "react";
+import { fetchPiSession, logoutPi } from "../lib/piAuth";
+
+// Current Pi login ({ user, linkedEmail } or { user: null }); `session` is null while loading.
+export default function usePiSession() {
+  const [session, setSession] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchPiSession()
+      .catch(() => ({ user: null }))
+      .then((s) => {
+        if (!cancelled) setSession(s);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const logout = useCallback(async () => {
+    await logoutPi().catch(() => {});
+    setSession({ user: null });
+  }, []);
+
+  return { session, user: session?.user || null, logout };
+}
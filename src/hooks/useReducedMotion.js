@@ -0,0 +1,14 @@
+import { useSyncExternalStore } from "react";
+
+// True when the visitor asked the OS for reduced motion; glows, blurs and tweens are skipped then.
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+function subscribe(fn) {
+  const mql = window.matchMedia?.(QUERY);
+  mql?.addEventListener("change", fn);
+  return () => mql?.removeEventListener("change", fn);
+}
+
+export default function useReducedMotion() {
+  return useSyncExternalStore(subscribe, () => !!window.matchMedia?.(QUERY).matches, () => false);
+}
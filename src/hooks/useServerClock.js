@@ -0,0 +1,25 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Milliseconds to add to `Date.now()` to get server time.
+ * Uses the midpoint of the request round trip; stays 0 if `/api/time` is unreachable.
+ */
+export default function useServerClockOffset(url = "/api/time") {
+  const [offset, setOffset] = useState(0);
+  useEffect(() => {
+    let cancelled = false;
+    const sentAt = Date.now();
+    fetch(url, { cache: "no-store" })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((body) => {
+        if (cancelled || !Number.isFinite(body?.now)) return;
+        const receivedAt = Date.now();
+        setOffset(body.now - (sentAt + receivedAt) / 2);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+  return offset;
+}
@@ -0,0 +1,39 @@
+import { useCallback, useRef } from "react";
+import { fetchChallenge, solveChallenge } from "../lib/antiAbuse";
+
+/**
+ * Proof-of-work + time-to-submit for the waitlist form.
+ * - `arm()` on first interaction: fetches a challenge and solves it in the background
+ * - `proof()` at submit: `{ challenge, solution }`; rejects with `code: "too_fast"` if the form
+ *   was filled faster than the server allows
+ * - `reset()` after every attempt, since challenges are single-use
+ * `apiBase` points at another API origin (the embeddable widget); same-origin by default.
+ */
+export default function useSignupGuard({ apiBase = "" } = {}) {
+  const pending = useRef(null);
+
+  const arm = useCallback(() => {
+    if (pending.current) return;
+    const armedAt = Date.now();
+    pending.current = fetchChallenge(apiBase)
+      .then(async (c) => ({ ...c, armedAt, solution: await solveChallenge(c) }))
+      // Unreachable API: submit without a proof and let the server's error explain.
+      .catch(() => ({ armedAt, minSubmitMs: 0 }));
+  }, [apiBase]);
+
+  const proof = useCallback(async () => {
+    arm();
+    const { challenge, solution, armedAt, minSubmitMs } = await pending.current;
+    if (Date.now() - armedAt < minSubmitMs) {
+      throw Object.assign(new Error("Submitted too quickly"), { code: "too_fast" });
+    }
+    return { challenge, solution };
+  }, [arm]);
+
+  const reset = useCallback(() => {
+    pending.current = null;
+    arm();
+  }, [arm]);
+
+  return { arm, proof, reset };
+}
@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { clearPendingSignup, readPendingSignup, savePendingSignup, sendPendingSignup } from "../lib/signupQueue";
+
+const RETRY_MS = 30 * 1000;
+
+/**
+ * Offline queue for the waitlist form (src/lib/signupQueue.js).
+ * - `queue(payload)` saves a signup that couldn't be sent
+ * - it is retried on mount, when the browser comes back online and every 30 s; `onResponse(res, payload)`
+ *   gets the server's answer. 5xx answers keep it queued.
+ * - `pending` is the saved signup (null when there is none)
+ */
+export default function useSignupQueue(onResponse) {
+  const [pending, setPending] = useState(readPendingSignup);
+  const handler = useRef(onResponse);
+
+  useEffect(() => {
+    handler.current = onResponse;
+  });
+
+  const queue = useCallback((payload) => {
+    savePendingSignup(payload);
+    setPending(payload);
+  }, []);
+
+  useEffect(() => {
+    if (!pending) return undefined;
+    let cancelled = false;
+    let busy = false;
+
+    async function flush() {
+      if (busy || !navigator.onLine) return;
+      busy = true;
+      try {
+        const res = await sendPendingSignup(pending);
+        if (res.status >= 500) return;
+        clearPendingSignup();
+        if (cancelled) return;
+        setPending(null);
+        handler.current(res, pending);
+      } catch {
+        // still unreachable; try again later
+      } finally {
+        busy = false;
+      }
+    }
+
+    flush();
+    window.addEventListener("online", flush);
+    const timer = setInterval(flush, RETRY_MS);
+    return () => {
+      cancelled = true;
+      window.removeEventListener("online", flush);
+      clearInterval(timer);
+    };
+  }, [pending]);
+
+  return { pending, queue };
+}
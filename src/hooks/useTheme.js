@@ -0,0 +1,39 @@
+import { useCallback, useSyncExternalStore } from "react";
+import { THEME_NAMES, THEME_STORAGE_KEY } from "../theme";
+
+// Theme preference: "system" (follow the OS, no data-theme attribute) or one of THEME_NAMES.
+// index.html applies the stored choice before first paint; this keeps it in sync afterwards.
+const listeners = new Set();
+
+function read() {
+  try {
+    const stored = localStorage.getItem(THEME_STORAGE_KEY);
+    return THEME_NAMES.includes(stored) ? stored : "system";
+  } catch {
+    return "system";
+  }
+}
+
+function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export default function useTheme() {
+  const theme = useSyncExternalStore(subscribe, read, () => "system");
+
+  const setTheme = useCallback((next) => {
+    const root = document.documentElement;
+    try {
+      if (next === "system") localStorage.removeItem(THEME_STORAGE_KEY);
+      else localStorage.setItem(THEME_STORAGE_KEY, next);
+    } catch {
+      // storage disabled: the choice lasts for this page only
+    }
+    if (next === "system") delete root.dataset.theme;
+    else root.dataset.theme = next;
+    listeners.forEach((fn) => fn());
+  }, []);
+
+  return [theme, setTheme];
+}
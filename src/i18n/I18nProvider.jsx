@@ -0,0 +1,33 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { I18nContext } from "./context";
+import { LANG_STORAGE_KEY, createTranslator, detectLocale, matchLocale } from "./i18n";
+
+export default function I18nProvider({ children, initialLocale }) {
+  const [locale, setLocaleState] = useState(() => matchLocale(initialLocale) || detectLocale());
+
+  const setLocale = useCallback((next) => {
+    const code = matchLocale(next);
+    if (!code) return;
+    setLocaleState(code);
+    try {
+      localStorage.setItem(LANG_STORAGE_KEY, code);
+    } catch {
+      // storage disabled: the choice just won't persist
+    }
+    // Keep an explicit ?lang= in sync so reloads and shared links match what's on screen.
+    const url = new URL(window.location.href);
+    if (url.searchParams.has("lang")) {
+      url.searchParams.set("lang", code);
+      window.history.replaceState(null, "", url);
+    }
+  }, []);
+
+  const value = useMemo(() => ({ ...createTranslator(locale), setLocale }), [locale, setLocale]);
+
+  useEffect(() => {
+    document.documentElement.lang = value.locale;
+    document.documentElement.dir = value.dir;
+  }, [value.locale, value.dir]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
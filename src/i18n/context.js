@@ -0,0 +1,9 @@
+import { createContext, useContext } from "react";
+import { DEFAULT_LOCALE, createTranslator } from "./i18n";
+
+// English works without a provider (e.g. isolated renders).
+export const I18nContext = createContext({ ...createTranslator(DEFAULT_LOCALE), setLocale: () => {} });
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
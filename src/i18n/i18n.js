@@ -0,0 +1,88 @@
+import { Fragment, createElement } from "react";
+import en from "./locales/en.json";
+import es from "./locales/es.json";
+import ar from "./locales/ar.json";
+
+// ---------------------
+// Locale bundles + lookup/interpolation (no React state here)
+// ---------------------
+export const BUNDLES = { en, es, ar };
+export const DEFAULT_LOCALE = "en";
+export const LANG_STORAGE_KEY = "predictpix.lang";
+
+export const LOCALES = Object.entries(BUNDLES).map(([code, m]) => ({
+  code,
+  label: m.meta.languageName,
+  dir: m.meta.dir,
+}));
+
+/** "es-MX" -> "es"; null when we don't ship that language. */
+export function matchLocale(tag) {
+  if (!tag) return null;
+  const lower = String(tag).toLowerCase();
+  if (BUNDLES[lower]) return lower;
+  const primary = lower.split("-")[0];
+  return BUNDLES[primary] ? primary : null;
+}
+
+function readStoredLocale() {
+  try {
+    return localStorage.getItem(LANG_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/** Priority: `?lang=` > saved choice > browser languages > English. */
+export function detectLocale({
+  search = window.location.search,
+  stored = readStoredLocale(),
+  languages = navigator.languages || [navigator.language],
+} = {}) {
+  const candidates = [new URLSearchParams(search).get("lang"), stored, ...languages];
+  for (const tag of candidates) {
+    const match = matchLocale(tag);
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function lookup(messages, key) {
+  return key.split(".").reduce((node, k) => (node == null ? undefined : node[k]), messages);
+}
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+export function interpolate(str, params = {}) {
+  return str.replace(PLACEHOLDER, (m, name) => (name in params ? String(params[name]) : m));
+}
+
+/** Like interpolate, but params may be React nodes; returns an array of children. */
+export function interpolateParts(str, params = {}) {
+  return str.split(PLACEHOLDER).map((part, i) =>
+    // split() with a capture group puts placeholder names at odd indexes
+    createElement(Fragment, { key: i }, i % 2 ? params[part] ?? `{${part}}` : part)
+  );
+}
+
+/**
+ * `t(key, params)` -> string, `tm(key)` -> raw value (arrays/objects), `rich(key, nodes)` -> children.
+ * Missing keys fall back to English, then to the key itself.
+ */
+export function createTranslator(locale) {
+  const messages = BUNDLES[locale] || BUNDLES[DEFAULT_LOCALE];
+  const raw = (key) => lookup(messages, key) ?? lookup(BUNDLES[DEFAULT_LOCALE], key);
+  return {
+    locale,
+    dir: messages.meta.dir,
+    t: (key, params) => {
+      const v = raw(key);
+      return typeof v === "string" ? interpolate(v, params) : key;
+    },
+    tm: (key) => raw(key),
+    rich: (key, params) => {
+      const v = raw(key);
+      return typeof v === "string" ? interpolateParts(v, params) : key;
+    },
+  };
+}
@@ -0,0 +1,199 @@
+// ---------------------
+// Consent-gated, first-party analytics
+// - Nothing is recorded until the visitor accepts, and never with Do Not Track / Global Privacy Control
+// - Events are batched and handed to every registered sink (first-party /api/events by default)
+// - Session id lives in sessionStorage only; there is no cross-visit identifier
+// ---------------------
+export const CONSENT_STORAGE_KEY = "predictpix.consent";
+const SESSION_KEY = "predictpix.sid";
+const ATTRIBUTION_KEY = "predictpix.attribution";
+const UTM_KEYS = ["source", "medium", "campaign", "term", "content"];
+const FLUSH_MS = 5000;
+const MAX_BATCH = 20;
+
+export function doNotTrack() {
+  return navigator.doNotTrack === "1" || window.doNotTrack === "1" || navigator.globalPrivacyControl === true;
+}
+
+function readStorage(storage, key) {
+  try {
+    return storage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+function writeStorage(storage, key, value) {
+  try {
+    if (value == null) storage.removeItem(key);
+    else storage.setItem(key, value);
+  } catch {
+    // storage disabled: the value just won't persist
+  }
+}
+
+// ---------------------
+// Consent ("granted" | "denied" | null = not asked yet)
+// ---------------------
+const consentListeners = new Set();
+let consent = null;
+let consentLoaded = false;
+
+export function getConsent() {
+  if (doNotTrack()) return "denied";
+  if (!consentLoaded) {
+    const stored = readStorage(localStorage, CONSENT_STORAGE_KEY);
+    consent = stored === "granted" || stored === "denied" ? stored : null;
+    consentLoaded = true;
+  }
+  return consent;
+}
+
+/** `null` forgets the choice so the banner asks again. */
+export function setConsent(value) {
+  consent = value;
+  consentLoaded = true;
+  writeStorage(localStorage, CONSENT_STORAGE_KEY, value);
+  if (value !== "granted") {
+    queue = [];
+    writeStorage(sessionStorage, SESSION_KEY, null);
+  }
+  consentListeners.forEach((fn) => fn());
+}
+
+export function subscribeConsent(fn) {
+  consentListeners.add(fn);
+  return () => consentListeners.delete(fn);
+}
+
+// ---------------------
+// Sinks: `{ name, send(events, { beacon }) }`
+// ---------------------
+const sinks = new Set();
+const reportedSinks = new WeakSet(); // failures are logged once per sink, in dev builds only
+
+/** Registers a sink; returns a function that removes it. */
+export function addSink(sink) {
+  sinks.add(sink);
+  return () => sinks.delete(sink);
+}
+
+export function firstPartySink(endpoint = "/api/events") {
+  return {
+    name: "first-party",
+    send(events, { beacon = false } = {}) {
+      const body = JSON.stringify({ events });
+      // sendBeacon survives page unloads; fetch keepalive is the fallback.
+      if (beacon && navigator.sendBeacon?.(endpoint, new Blob([body], { type: "application/json" }))) return;
+      fetch(endpoint, { method: "POST", headers: { "Content-Type": "application/json" }, body, keepalive: true }).catch(() => {});
+    },
+  };
+}
+
+// ---------------------
+// Queue
+// ---------------------
+let queue = [];
+let timer = null;
+let lastCta = null;
+
+function sessionId() {
+  let sid = readStorage(sessionStorage, SESSION_KEY);
+  if (!sid) {
+    sid = Math.random().toString(36).slice(2, 12);
+    writeStorage(sessionStorage, SESSION_KEY, sid);
+  }
+  return sid;
+}
+
+export function flush({ beacon = false } = {}) {
+  clearTimeout(timer);
+  timer = null;
+  if (!queue.length) return;
+  const batch = queue;
+  queue = [];
+  for (const sink of sinks) {
+    try {
+      sink.send(batch, { beacon });
+    } catch (err) {
+      // A broken sink loses this batch; the others still get it.
+      if (import.meta.env.DEV && !reportedSinks.has(sink)) {
+        reportedSinks.add(sink);
+        console.warn(`[analytics] sink ${sink.name} failed`, err);
+      }
+    }
+  }
+}
+
+/** Records an event if the visitor has consented; a no-op otherwise. */
+export function track(name, props = {}) {
+  if (getConsent() !== "granted") return;
+  queue.push({ name, props, path: window.location.pathname, ts: Date.now(), sid: sessionId() });
+  if (queue.length >= MAX_BATCH) flush();
+  else timer ||= setTimeout(flush, FLUSH_MS);
+}
+
+/** The most recent `data-cta` clicked this page load, to credit form outcomes to a CTA. */
+export const getLastCta = () => lastCta;
+
+// ---------------------
+// Automatic tracking
+// ---------------------
+
+/** Clicks on any element with `data-cta="name"`, plus a final flush when the page is hidden. */
+export function installAutoTracking() {
+  function onClick(e) {
+    const el = e.target.closest?.("[data-cta]");
+    if (!el) return;
+    lastCta = el.dataset.cta;
+    track("cta_click", { cta: lastCta, href: el.getAttribute("href") || undefined });
+  }
+  function onHide() {
+    if (document.visibilityState === "hidden") flush({ beacon: true });
+  }
+  document.addEventListener("click", onClick, true);
+  document.addEventListener("visibilitychange", onHide);
+  return () => {
+    document.removeEventListener("click", onClick, true);
+    document.removeEventListener("visibilitychange", onHide);
+  };
+}
+
+/** One `section_view` per `<section id>` that is at least half visible; returns a cleanup. */
+export function observeSections(root = document) {
+  if (typeof IntersectionObserver === "undefined") return () => {};
+  const observer = new IntersectionObserver(
+    (entries) => {
+      for (const entry of entries) {
+        if (!entry.isIntersecting) continue;
+        track("section_view", { section: entry.target.id });
+        observer.unobserve(entry.target);
+      }
+    },
+    { threshold: 0.5 }
+  );
+  root.querySelectorAll("section[id]").forEach((el) => observer.observe(el));
+  return () => observer.disconnect();
+}
+
+// ---------------------
+// Attribution (sent with the signup itself, so it doesn't depend on analytics consent)
+// ---------------------
+
+/** First-touch utm_* params for this browser session, e.g. `{ source: "x", campaign: "beta" }`. */
+export function captureUtm(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const fresh = {};
+  for (const key of UTM_KEYS) {
+    const value = params.get(`utm_${key}`);
+    if (value) fresh[key] = value.slice(0, 100);
+  }
+  if (Object.keys(fresh).length && !readStorage(sessionStorage, ATTRIBUTION_KEY)) {
+    writeStorage(sessionStorage, ATTRIBUTION_KEY, JSON.stringify(fresh));
+  }
+  try {
+    return JSON.parse(readStorage(sessionStorage, ATTRIBUTION_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,24 @@
+// Client half of the waitlist anti-abuse checks (server/abuse.js): the honeypot field name and a
+// proof-of-work solver for the challenge from GET /api/challenge.
+import { leadingZeroBits } from "./signupChecks";
+
+export { HONEYPOT_FIELD } from "./signupChecks";
+
+/** `apiBase` is the API origin for cross-site embeds (see src/widget/); same-origin by default. */
+export async function fetchChallenge(apiBase = "") {
+  const res = await fetch(`${apiBase}/api/challenge`, { cache: "no-store" });
+  if (!res.ok) throw new Error(`challenge ${res.status}`);
+  return res.json();
+}
+
+/** Finds a `solution` so that sha256(`${challenge}:${solution}`) starts with `difficulty` zero bits. */
+export async function solveChallenge({ challenge, difficulty }, { batch = 256 } = {}) {
+  const encoder = new TextEncoder();
+  for (let start = 0; ; start += batch) {
+    const digests = await Promise.all(
+      Array.from({ length: batch }, (_, i) => crypto.subtle.digest("SHA-256", encoder.encode(`${challenge}:${start + i}`)))
+    );
+    const hit = digests.findIndex((d) => leadingZeroBits(new Uint8Array(d)) >= difficulty);
+    if (hit !== -1) return String(start + hit);
+  }
+}
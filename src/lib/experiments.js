@@ -0,0 +1,134 @@
+// ---------------------
+// A/B experiments, defined in src/config/experiments.json (first variant = control)
+// - Each browser gets a random seed in local storage; the variant is a weighted bucket of
+//   hash(seed:experiment), so assignment is deterministic, sticky across visits and independent
+//   between experiments. Changing a running experiment's weights moves some visitors: start a
+//   new experiment id instead.
+// - The seed never leaves the browser. Signups carry `{ experiment: variant }` and, with analytics
+//   consent, each experiment rendered sends one `experiment_view` event per page load.
+// - QA: `?exp=name:variant[,name:variant]` forces variants for the rest of the tab session and
+//   `?exp=` clears them. Forced experiments are left out of signups and events.
+// ---------------------
+import RAW_EXPERIMENTS from "../config/experiments.json";
+import { getConsent, track } from "./analytics";
+
+export const SEED_STORAGE_KEY = "predictpix.expSeed";
+const OVERRIDES_KEY = "predictpix.expOverrides";
+
+export const EXPERIMENTS = RAW_EXPERIMENTS.filter((e) => e.variants?.length);
+const byId = new Map(EXPERIMENTS.map((e) => [e.id, e]));
+
+/** The control (first) variant: what inactive experiments and prerendered pages show. */
+export const controlVariant = (id) => byId.get(id)?.variants[0].id ?? null;
+
+/** FNV-1a hash of `str` with a murmur3 finalizer (so similar inputs spread evenly), scaled to [0, 1). */
+export function hashUnit(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+/** Variant id for a visitor's `seed`, by weight (default 1); inactive experiments get control. */
+export function assignVariant(experiment, seed) {
+  const { variants } = experiment;
+  if (!experiment.active) return variants[0].id;
+  const weight = (v) => Math.max(0, v.weight ?? 1);
+  let point = hashUnit(`${seed}:${experiment.id}`) * variants.reduce((sum, v) => sum + weight(v), 0);
+  for (const v of variants) {
+    point -= weight(v);
+    if (point < 0) return v.id;
+  }
+  return variants[0].id;
+}
+
+/** `"a:x,b:y"` -> `{ a: "x", b: "y" }`; unknown experiments or variants are skipped (with a warning in dev). */
+export function parseOverrides(value) {
+  const out = {};
+  for (const pair of String(value ?? "").split(",")) {
+    const [id, variant] = pair.split(":").map((s) => s.trim());
+    if (byId.get(id)?.variants.some((v) => v.id === variant)) out[id] = variant;
+    else if (id && import.meta.env.DEV) console.warn(`[experiments] ignoring override "${pair}"`);
+  }
+  return out;
+}
+
+function storage(kind) {
+  try {
+    return window[kind];
+  } catch {
+    return null;
+  }
+}
+
+function readSeed() {
+  const local = storage("localStorage");
+  try {
+    let seed = local?.getItem(SEED_STORAGE_KEY);
+    if (!seed) {
+      seed = Math.random().toString(36).slice(2, 12);
+      local?.setItem(SEED_STORAGE_KEY, seed);
+    }
+    return seed;
+  } catch {
+    // storage disabled: assignment lasts for this page load only
+    return Math.random().toString(36).slice(2, 12);
+  }
+}
+
+function readOverrides() {
+  const session = storage("sessionStorage");
+  const param = new URLSearchParams(window.location.search).get("exp");
+  try {
+    if (param === "") session?.removeItem(OVERRIDES_KEY);
+    else if (param) session?.setItem(OVERRIDES_KEY, param);
+    return parseOverrides(param ?? session?.getItem(OVERRIDES_KEY));
+  } catch {
+    return parseOverrides(param);
+  }
+}
+
+// Resolved once per page load, so a visitor never sees a variant change mid-visit.
+let state = null;
+
+function load() {
+  if (state) return state;
+  const forced = readOverrides();
+  const seed = readSeed();
+  const variants = {};
+  for (const e of EXPERIMENTS) variants[e.id] = forced[e.id] ?? assignVariant(e, seed);
+  state = { variants, forced };
+  return state;
+}
+
+export const getVariant = (id) => load().variants[id] ?? null;
+
+const counted = (id) => byId.get(id)?.active && !(id in load().forced);
+
+/** `{ experiment: variant }` for the signup payload; null when no experiment is running. */
+export function signupExperiments() {
+  const entries = EXPERIMENTS.filter((e) => counted(e.id)).map((e) => [e.id, getVariant(e.id)]);
+  return entries.length ? Object.fromEntries(entries) : null;
+}
+
+const exposed = new Set();
+
+/** One `experiment_view` per experiment and page load, once analytics consent is given. */
+export function trackExposure(id) {
+  if (exposed.has(id) || !counted(id) || getConsent() !== "granted") return;
+  exposed.add(id);
+  track("experiment_view", { experiment: id, variant: getVariant(id) });
+}
+
+/** i18n key of a variant's copy (`exp.<experiment>.<variant>.<name>`) when it has one, else `controlKey`. */
+export function copyKey(tm, experiment, variant, name, controlKey) {
+  const key = `exp.${experiment}.${variant}.${name}`;
+  return tm(key) != null ? key : controlKey;
+}
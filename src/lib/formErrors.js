@@ -0,0 +1,20 @@
+// ---------------------
+// Accessible form errors
+// Server error codes are mapped to the input they're about, so the result message can be
+// tied to that input with aria-invalid / aria-describedby.
+// ---------------------
+
+/** `{ type: "error", text, field }` where `field` is the input id `fields[code]` names (if any). */
+export function errorMessage(text, code, fields = {}) {
+  return { type: "error", text, field: (code && fields[code]) || null };
+}
+
+/**
+ * Props for the input with id `field`: always describes it by `hintId` (if given), and marks it
+ * invalid and points at `messageId` while `message` is an error about it.
+ */
+export function fieldA11y(field, message, messageId, hintId) {
+  const invalid = message?.type === "error" && message.field === field;
+  const describedBy = [hintId, invalid && messageId].filter(Boolean).join(" ");
+  return { "aria-invalid": invalid || undefined, "aria-describedby": describedBy || undefined };
+}
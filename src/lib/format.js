@@ -0,0 +1,25 @@
+// ---------------------
+// Locale-aware number formatting (locale undefined = browser default)
+// ---------------------
+export function formatCount(n, locale) {
+  return new Intl.NumberFormat(locale, { maximumFractionDigits: 0 }).format(n);
+}
+
+// Pi amounts: full digits up to 100k, then compact ("12.5K", "1,2 Mio." …) per locale.
+export function formatPi(n, locale) {
+  const opts = n >= 100_000 ? { notation: "compact", maximumFractionDigits: 1 } : { maximumFractionDigits: 0 };
+  return new Intl.NumberFormat(locale, opts).format(n);
+}
+
+// Spoken-style durations ("3 days and 4 hours", "3 días y 4 horas"); zero parts are dropped.
+export function formatDuration(parts, locale) {
+  const units = Object.entries(parts)
+    .filter(([, n]) => n > 0)
+    .map(([unit, n]) => new Intl.NumberFormat(locale, { style: "unit", unit, unitDisplay: "long" }).format(n));
+  return new Intl.ListFormat(locale, { style: "long", type: "conjunction" }).format(units);
+}
+
+// Share prices (0–1 Pi) and simulated amounts, always with two decimals: "0.62".
+export function formatPrice(n, locale) {
+  return new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(n);
+}
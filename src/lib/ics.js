@@ -0,0 +1,53 @@
+// ---------------------
+// Minimal iCalendar (RFC 5545) export for launch milestones
+// ---------------------
+const escapeText = (s) =>
+  String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+const icsDate = (ms) => new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+export function buildIcs({ uid, start, durationMin = 60, title, description = "", url = "" }) {
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//PredictPix//Launch Schedule//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${icsDate(Date.now())}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(start + durationMin * 60 * 1000)}`,
+    `SUMMARY:${escapeText(title)}`,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    url ? `URL:${url}` : null,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ]
+    .filter(Boolean)
+    .join("\r\n") + "\r\n";
+}
+
+export function downloadIcs(filename, text) {
+  const href = URL.createObjectURL(new Blob([text], { type: "text/calendar;charset=utf-8" }));
+  const a = document.createElement("a");
+  a.href = href;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(href), 0);
+}
+
+export function downloadPhaseIcs(phase) {
+  downloadIcs(
+    `predictpix-${phase.id}.ics`,
+    buildIcs({
+      uid: `${phase.id}@predictpix.com`,
+      start: phase.at,
+      title: `PredictPix — ${phase.label}`,
+      description: phase.description,
+      url: window.location.origin + "/",
+    })
+  );
+}
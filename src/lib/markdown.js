@@ -0,0 +1,68 @@
+// Small Markdown subset for the legal pages: headings, paragraphs, lists, rules,
+// **bold**, *italic*, `code` and [links](url). Produces a plain AST; rendering lives in
+// components/Markdown.jsx so no HTML string is ever injected.
+
+const INLINE_RE = /\*\*(.+?)\*\*|\*(.+?)\*|_(.+?)_|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+export function parseInline(text) {
+  const out = [];
+  let last = 0;
+  for (const m of text.matchAll(INLINE_RE)) {
+    if (m.index > last) out.push({ type: "text", value: text.slice(last, m.index) });
+    if (m[1] != null) out.push({ type: "strong", children: parseInline(m[1]) });
+    else if (m[2] != null || m[3] != null) out.push({ type: "em", children: parseInline(m[2] ?? m[3]) });
+    else if (m[4] != null) out.push({ type: "code", value: m[4] });
+    else out.push({ type: "link", href: m[6], children: parseInline(m[5]) });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) out.push({ type: "text", value: text.slice(last) });
+  return out;
+}
+
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, "")
+    .trim()
+    .replace(/\s+/g, "-");
+}
+
+export function parseMarkdown(source) {
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flush = () => {
+    if (paragraph.length) blocks.push({ type: "paragraph", children: parseInline(paragraph.join(" ")) });
+    if (list) blocks.push(list);
+    paragraph = [];
+    list = null;
+  };
+
+  for (const raw of source.replace(/\r\n?/g, "\n").split("\n")) {
+    const line = raw.trim();
+    let m;
+    if (!line) {
+      flush();
+    } else if ((m = line.match(/^(#{1,6})\s+(.*)$/))) {
+      flush();
+      blocks.push({ type: "heading", level: m[1].length, id: slugify(m[2]), children: parseInline(m[2]) });
+    } else if (/^(-{3,}|\*{3,})$/.test(line)) {
+      flush();
+      blocks.push({ type: "rule" });
+    } else if ((m = line.match(/^([-*]|\d+\.)\s+(.*)$/))) {
+      const ordered = m[1].endsWith(".");
+      if (paragraph.length || (list && list.ordered !== ordered)) flush();
+      list = list || { type: "list", ordered, items: [] };
+      list.items.push(parseInline(m[2]));
+    } else if (list && /^\s/.test(raw)) {
+      // Indented continuation of the previous list item.
+      list.items[list.items.length - 1].push({ type: "text", value: " " }, ...parseInline(line));
+    } else {
+      if (list) flush();
+      paragraph.push(line);
+    }
+  }
+  flush();
+  return blocks;
+}
@@ -0,0 +1,87 @@
+// ---------------------
+// Peer-to-peer payout simulator (pure, no React)
+// Every matched share pairs a YES buyer with a NO buyer whose prices add up to 1 Pi; the pot
+// goes to whichever side wins, minus the fees in src/config/fees.json. No house liquidity,
+// so anything not matched against a peer simply stays on the book.
+// ---------------------
+export const SIDES = ["yes", "no"];
+export const MIN_PRICE = 0.01;
+export const MAX_PRICE = 0.99;
+
+const round = (n) => Math.round(n * 1e7) / 1e7; // Pi has 7 decimal places
+const opposite = (side) => (side === "yes" ? "no" : "yes");
+
+/**
+ * A small illustrative order book of peers on the other side, priced around the complement
+ * of `price`. Some ask for a better price than the visitor offers and won't match.
+ */
+export function sampleBook(side, price) {
+  const complement = 1 - price;
+  return [
+    { peer: "A", delta: 0.03, shares: 40 },
+    { peer: "B", delta: 0, shares: 60 },
+    { peer: "C", delta: -0.02, shares: 120 },
+    { peer: "D", delta: -0.05, shares: 200 },
+  ].map(({ peer, delta, shares }) => ({
+    peer,
+    side: opposite(side),
+    price: round(Math.min(MAX_PRICE, Math.max(MIN_PRICE, complement + delta))),
+    shares,
+  }));
+}
+
+/**
+ * Fills `stake` Pi of `side` at `price` (Pi per share) against `book`, best-paying peers first.
+ * A peer matches when they will pay at least `1 - price` per share; fills happen at the
+ * visitor's price, so each matched share puts exactly 1 Pi in the pot.
+ */
+export function matchOrder({ side, price, stake, book }) {
+  const complement = round(1 - price);
+  let remaining = stake / price;
+  const fills = [];
+  const queue = book.filter((o) => o.side === opposite(side)).sort((a, b) => b.price - a.price);
+  for (const order of queue) {
+    if (remaining <= 0 || order.price < complement) break;
+    const shares = Math.min(remaining, order.shares);
+    fills.push({ peer: order.peer, shares: round(shares), peerStake: round(shares * complement) });
+    remaining -= shares;
+  }
+  const matchedShares = round(fills.reduce((sum, f) => sum + f.shares, 0));
+  return {
+    fills,
+    matchedShares,
+    matchedStake: round(matchedShares * price),
+    unmatchedStake: round(stake - matchedShares * price),
+  };
+}
+
+/**
+ * What the visitor gets back in each outcome. `receive` is Pi paid out at settlement; `net` is
+ * that minus what they put in (matched stake + trade fee). Unmatched stake is never at risk and
+ * is reported separately.
+ */
+export function simulatePayout({ side, price, stake, book = sampleBook(side, price), fees }) {
+  if (!SIDES.includes(side)) throw new RangeError(`side must be "yes" or "no"`);
+  if (!(price >= MIN_PRICE && price <= MAX_PRICE)) throw new RangeError(`price must be between ${MIN_PRICE} and ${MAX_PRICE}`);
+  if (!(stake > 0)) throw new RangeError("stake must be positive");
+
+  const match = matchOrder({ side, price, stake, book });
+  const tradeFee = round((match.matchedStake * fees.tradeFeePct) / 100);
+  const paidIn = match.matchedStake + tradeFee;
+  const profit = match.matchedShares - match.matchedStake; // the peers' stake
+  const winningsFee = round((profit * fees.winningsFeePct) / 100);
+  const win = round(match.matchedShares - winningsFee);
+  const voided = round(match.matchedStake + (fees.refundFeesOnVoid ? tradeFee : 0));
+  const outcome = (receive) => ({ receive, net: round(receive - paidIn) });
+
+  return {
+    ...match,
+    pot: match.matchedShares,
+    fees: { trade: tradeFee, winnings: winningsFee },
+    outcomes: {
+      yes: outcome(side === "yes" ? win : 0),
+      no: outcome(side === "no" ? win : 0),
+      void: outcome(voided),
+    },
+  };
+}
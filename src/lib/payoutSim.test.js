@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { MAX_PRICE, MIN_PRICE, matchOrder, sampleBook, simulatePayout } from "./payoutSim";
+
+const FEES = { tradeFeePct: 1, winningsFeePct: 2, refundFeesOnVoid: true };
+const no = (peer, price, shares) => ({ peer, side: "no", price, shares });
+
+describe("matchOrder", () => {
+  it("fills at the visitor's price so each share puts 1 Pi in the pot", () => {
+    const match = matchOrder({ side: "yes", price: 0.6, stake: 30, book: [no("B", 0.4, 60)] });
+    expect(match.fills).toEqual([{ peer: "B", shares: 50, peerStake: 20 }]);
+    expect(match).toMatchObject({ matchedShares: 50, matchedStake: 30, unmatchedStake: 0 });
+  });
+
+  it("takes the best-paying peers first and leaves the rest unmatched (partial fill)", () => {
+    const book = [no("C", 0.38, 100), no("B", 0.4, 30), no("A", 0.43, 40)];
+    const match = matchOrder({ side: "yes", price: 0.6, stake: 60, book });
+    expect(match.fills.map((f) => f.peer)).toEqual(["A", "B"]);
+    expect(match).toMatchObject({ matchedShares: 70, matchedStake: 42, unmatchedStake: 18 });
+  });
+
+  it("ignores orders on the visitor's own side", () => {
+    const book = [{ peer: "Y", side: "yes", price: 0.5, shares: 100 }];
+    expect(matchOrder({ side: "yes", price: 0.5, stake: 10, book })).toMatchObject({ fills: [], matchedShares: 0, unmatchedStake: 10 });
+  });
+});
+
+describe("simulatePayout", () => {
+  const book = [no("B", 0.4, 60)];
+
+  it("charges the trade fee up front and the winnings fee on the peers' stake", () => {
+    const sim = simulatePayout({ side: "yes", price: 0.6, stake: 30, book, fees: FEES });
+    expect(sim.pot).toBe(50);
+    expect(sim.fees).toEqual({ trade: 0.3, winnings: 0.4 });
+    expect(sim.outcomes.yes).toEqual({ receive: 49.6, net: 19.3 });
+    expect(sim.outcomes.no).toEqual({ receive: 0, net: -30.3 });
+  });
+
+  it("pays the NO side when it wins", () => {
+    const sim = simulatePayout({ side: "no", price: 0.6, stake: 30, book: [{ peer: "B", side: "yes", price: 0.4, shares: 60 }], fees: FEES });
+    expect(sim.outcomes.no.receive).toBe(49.6);
+    expect(sim.outcomes.yes.receive).toBe(0);
+  });
+
+  it("refunds the stake on void, and the trade fee only when the fee config says so", () => {
+    const refunded = simulatePayout({ side: "yes", price: 0.6, stake: 30, book, fees: FEES });
+    expect(refunded.outcomes.void).toEqual({ receive: 30.3, net: 0 });
+    const kept = simulatePayout({ side: "yes", price: 0.6, stake: 30, book, fees: { ...FEES, refundFeesOnVoid: false } });
+    expect(kept.outcomes.void).toEqual({ receive: 30, net: -0.3 });
+  });
+
+  it("puts only the matched part at risk", () => {
+    const sim = simulatePayout({ side: "yes", price: 0.6, stake: 60, book, fees: FEES });
+    expect(sim).toMatchObject({ matchedShares: 60, matchedStake: 36, unmatchedStake: 24 });
+    expect(sim.outcomes.no.net).toBe(-36.36);
+    const empty = simulatePayout({ side: "yes", price: 0.6, stake: 10, book: [], fees: FEES });
+    expect(Object.values(empty.outcomes).map((o) => o.net)).toEqual([0, 0, 0]);
+  });
+
+  it("uses the sample book by default", () => {
+    const sim = simulatePayout({ side: "yes", price: 0.5, stake: 10, fees: FEES });
+    expect(sim.matchedShares).toBe(20);
+    expect(sim.fills[0].peer).toBe("A");
+  });
+
+  it.each([
+    [{ side: "maybe" }, /side/],
+    [{ price: 0 }, /price/],
+    [{ price: MIN_PRICE - 0.001 }, /price/],
+    [{ price: MAX_PRICE + 0.001 }, /price/],
+    [{ price: NaN }, /price/],
+    [{ stake: 0 }, /stake/],
+    [{ stake: -5 }, /stake/],
+    [{ stake: NaN }, /stake/],
+  ])("rejects %o with a RangeError", (bad, message) => {
+    const call = () => simulatePayout({ side: "yes", price: 0.5, stake: 10, book, fees: FEES, ...bad });
+    expect(call).toThrow(RangeError);
+    expect(call).toThrow(message);
+  });
+});
+
+describe("sampleBook", () => {
+  it("prices the other side around the complement, within the allowed range", () => {
+    const book = sampleBook("yes", 0.98);
+    expect(book.every((o) => o.side === "no")).toBe(true);
+    expect(book.every((o) => o.price >= MIN_PRICE && o.price <= MAX_PRICE)).toBe(true);
+  });
+});
@@ -0,0 +1,45 @@
+// ---------------------
+// Pi authentication adapters
+// Interface: { name, authenticate(): Promise<{ accessToken, user: { uid, username } }> }
+// ---------------------
+const PI_SDK_URL = "https://sdk.minepi.com/pi-sdk.js";
+
+function loadPiSdk() {
+  if (window.Pi) return Promise.resolve(window.Pi);
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = PI_SDK_URL;
+    script.onload = () => (window.Pi ? resolve(window.Pi) : reject(new Error("Pi SDK unavailable")));
+    script.onerror = () => reject(new Error("Pi SDK failed to load"));
+    document.head.appendChild(script);
+  });
+}
+
+// Real Pi SDK (works inside the Pi Browser).
+export function createPiSdkAdapter({ sandbox = false } = {}) {
+  let ready = null;
+  return {
+    name: "pi-sdk",
+    async authenticate() {
+      ready ||= loadPiSdk().then((Pi) => {
+        Pi.init({ version: "2.0", sandbox });
+        return Pi;
+      });
+      const Pi = await ready;
+      // The landing page never creates payments, so there is nothing to resume here.
+      const auth = await Pi.authenticate(["username"], () => {});
+      return { accessToken: auth.accessToken, user: { uid: auth.user.uid, username: auth.user.username } };
+    },
+  };
+}
+
+// Offline stand-in; the server accepts its tokens when running with PI_AUTH=mock.
+export function createMockPiAdapter({ username = "pioneer_dev", uid = `mock-${username}`, delayMs = 300 } = {}) {
+  return {
+    name: "mock",
+    async authenticate() {
+      await new Promise((r) => setTimeout(r, delayMs));
+      return { accessToken: `mock:${uid}:${username}`, user: { uid, username } };
+    },
+  };
+}
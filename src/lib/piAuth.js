@@ -0,0 +1,55 @@
+import { createMockPiAdapter, createPiSdkAdapter } from "./piAdapters";
+
+// ---------------------
+// Pi login flow: adapter -> backend verification -> session cookie
+// ---------------------
+
+// VITE_PI_ADAPTER = "sdk" | "mock" (defaults to the SDK; mock pairs with PI_AUTH=mock on the API)
+export function getPiAdapter(env = import.meta.env) {
+  const kind = env.VITE_PI_ADAPTER === "mock" ? "mock" : "sdk";
+  return kind === "mock"
+    ? createMockPiAdapter({ username: env.VITE_PI_MOCK_USER || undefined })
+    : createPiSdkAdapter({ sandbox: env.VITE_PI_SANDBOX === "true" });
+}
+
+/** Only same-origin paths are allowed as post-login redirects (no `//evil.com`, no `https://…`). */
+export function safeNext(next, fallback = "/") {
+  if (typeof next !== "string" || !next.startsWith("/") || next.startsWith("//") || next.startsWith("/\\")) {
+    return fallback;
+  }
+  try {
+    const url = new URL(next, window.location.origin);
+    return url.origin === window.location.origin ? url.pathname + url.search + url.hash : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw Object.assign(new Error(data?.message || `HTTP ${res.status}`), { code: data?.error });
+  return data;
+}
+
+/**
+ * Runs the adapter's authenticate and exchanges the token for a session. Resolves to
+ * `{ user, linkedEmail, linkRequested }`; `linkRequested` means `email` was sent a link to confirm.
+ */
+export async function loginWithPi({ adapter = getPiAdapter(), email } = {}) {
+  const { accessToken } = await adapter.authenticate();
+  return postJson("/api/auth/pi", { accessToken, email: email || undefined });
+}
+
+export async function fetchPiSession() {
+  const res = await fetch("/api/auth/me", { cache: "no-store" });
+  return res.ok ? res.json() : { user: null };
+}
+
+export function logoutPi() {
+  return postJson("/api/auth/logout", {});
+}
@@ -0,0 +1,54 @@
+// Installable app support: registers public/sw.js and manages the "Remind me at launch" Web Push
+// subscription (stored by POST /api/push/subscriptions, sent by scripts/send-launch-push.js).
+
+/** Production builds only: in dev the worker would cache Vite's unbundled modules. */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch(() => {});
+  });
+}
+
+/**
+ * Resolves to the active worker's registration, or null where push isn't available. In dev no
+ * worker is registered, so it never settles and the reminder stays hidden.
+ */
+export async function pushRegistration() {
+  if (!("serviceWorker" in navigator) || !("PushManager" in window) || !("Notification" in window)) return null;
+  return navigator.serviceWorker.ready;
+}
+
+function keyBytes(base64url) {
+  const raw = atob(base64url.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(raw, (c) => c.charCodeAt(0));
+}
+
+/** Asks for notification permission and saves the subscription; rejects with `code: "denied"` if refused. */
+export async function subscribeToLaunch(registration, locale) {
+  if ((await Notification.requestPermission()) !== "granted") {
+    throw Object.assign(new Error("Notifications blocked"), { code: "denied" });
+  }
+  const keyRes = await fetch("/api/push/key");
+  if (!keyRes.ok) throw new Error(`push key ${keyRes.status}`);
+  const { publicKey } = await keyRes.json();
+  const subscription = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(publicKey) });
+  const res = await fetch("/api/push/subscriptions", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ subscription, locale }),
+  });
+  if (!res.ok) {
+    await subscription.unsubscribe();
+    throw new Error(`subscribe ${res.status}`);
+  }
+  return subscription;
+}
+
+export async function unsubscribeFromLaunch(subscription) {
+  await fetch("/api/push/subscriptions", {
+    method: "DELETE",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ endpoint: subscription.endpoint }),
+  }).catch(() => {});
+  await subscription.unsubscribe();
+}
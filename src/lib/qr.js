@@ -0,0 +1,287 @@
+// ---------------------
+// Minimal QR code encoder (ISO/IEC 18004), so share links get a code without a third-party service.
+// Byte mode, error correction level M, versions 1–10 (up to 213 bytes): plenty for a referral URL.
+// ---------------------
+
+// Level M, indexed by version: EC codewords per block and number of blocks.
+const EC_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const EC_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const MAX_VERSION = 10;
+
+/** Codeword slots left after function patterns, format and version info. */
+function rawCodewords(version) {
+  let modules = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const align = Math.floor(version / 7) + 2;
+    modules -= (25 * align - 10) * align - 55;
+    if (version >= 7) modules -= 36;
+  }
+  return Math.floor(modules / 8);
+}
+
+const dataCodewords = (version) => rawCodewords(version) - EC_PER_BLOCK[version] * EC_BLOCKS[version];
+
+function alignmentCenters(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const size = version * 4 + 17;
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const centers = [6];
+  for (let pos = size - 7; centers.length < count; pos -= step) centers.splice(1, 0, pos);
+  return centers;
+}
+
+// ---------------------
+// Reed–Solomon over GF(256), polynomial 0x11D
+// ---------------------
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const coefs = new Array(degree).fill(0);
+  coefs[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      coefs[j] = gfMultiply(coefs[j], root);
+      if (j + 1 < degree) coefs[j] ^= coefs[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return coefs;
+}
+
+function rsRemainder(data, degree) {
+  const divisor = rsDivisor(degree);
+  const rem = new Array(degree).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ rem.shift();
+    rem.push(0);
+    divisor.forEach((coef, i) => {
+      rem[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return rem;
+}
+
+// ---------------------
+// Codewords: mode + length + bytes, padded, split into blocks, EC added, interleaved
+// ---------------------
+function encodeData(bytes, version) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  const capacity = dataCodewords(version) * 8;
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((b) => push(b, 8));
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((b, bit) => (b << 1) | bit, 0));
+  return codewords;
+}
+
+function interleave(data, version) {
+  const blocks = EC_BLOCKS[version];
+  const ecLength = EC_PER_BLOCK[version];
+  const shortLength = Math.floor(data.length / blocks);
+  const longBlocks = data.length % blocks; // the last ones are one codeword longer
+  const split = [];
+  for (let b = 0, at = 0; b < blocks; b++) {
+    const length = shortLength + (b >= blocks - longBlocks ? 1 : 0);
+    split.push(data.slice(at, at + length));
+    at += length;
+  }
+  const ec = split.map((block) => rsRemainder(block, ecLength));
+  const out = [];
+  for (let i = 0; i <= shortLength; i++) split.forEach((block) => i < block.length && out.push(block[i]));
+  for (let i = 0; i < ecLength; i++) ec.forEach((block) => out.push(block[i]));
+  return out;
+}
+
+// ---------------------
+// Matrix
+// ---------------------
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+  return { version, size, modules, reserved, set };
+}
+
+function drawFunctionPatterns(m) {
+  const { size, version, set } = m;
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  // Finders with their separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+  // Alignment patterns, except where they would overlap a finder
+  const centers = alignmentCenters(version);
+  const last = centers.length - 1;
+  centers.forEach((cx, i) =>
+    centers.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    })
+  );
+  drawFormatBits(m, 0); // reserves the area; redrawn once the mask is chosen
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+}
+
+/** 15-bit format info (level M = 00, then the mask), BCH protected, both copies plus the dark module. */
+function formatBits(mask) {
+  let rem = mask;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((mask << 10) | rem) ^ 0x5412;
+}
+
+function drawFormatBits(m, mask) {
+  const { size, set } = m;
+  const bits = formatBits(mask);
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+// Two-module columns, right to left, alternating upwards and downwards; column 6 is the timing pattern.
+function drawCodewords(m, codewords) {
+  const { size, modules, reserved } = m;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (reserved[y][x] || i >= codewords.length * 8) continue;
+        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+}
+
+function applyMask(m, mask) {
+  const { size, modules, reserved } = m;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+  }
+}
+
+const FINDER_LIKE = ["10111010000", "00001011101"];
+
+/** The spec's mask penalty: long runs, 2×2 blocks, finder look-alikes and dark/light imbalance. */
+function penalty({ size, modules }) {
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i].map(Number).join(""));
+    lines.push(modules.map((row) => Number(row[i])).join(""));
+  }
+  for (const line of lines) {
+    for (const run of line.match(/0{5,}|1{5,}/g) || []) score += run.length - 2;
+    for (const pattern of FINDER_LIKE) {
+      for (let at = line.indexOf(pattern); at !== -1; at = line.indexOf(pattern, at + 1)) score += 40;
+    }
+  }
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const c = modules[y][x];
+      if (c) dark++;
+      if (x + 1 < size && y + 1 < size && c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) {
+        score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+/**
+ * Encode `text` (UTF-8) as a QR code. Returns `{ size, modules }` where `modules[y][x]` is true for
+ * dark; the caller adds the 4-module quiet zone. Throws if the text is longer than version 10 holds.
+ */
+export function encodeQr(text) {
+  const bytes = [...new TextEncoder().encode(text)];
+  let version = 1;
+  while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) version++;
+  if (version > MAX_VERSION) throw new Error("Text is too long for a QR code");
+
+  const m = createMatrix(version);
+  drawFunctionPatterns(m);
+  drawCodewords(m, interleave(encodeData(bytes, version), version));
+
+  let best = 0;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    applyMask(m, mask);
+    drawFormatBits(m, mask);
+    const score = penalty(m);
+    if (score < bestScore) {
+      best = mask;
+      bestScore = score;
+    }
+    applyMask(m, mask); // undo
+  }
+  applyMask(m, best);
+  drawFormatBits(m, best);
+  return { size: m.size, modules: m.modules };
+}
@@ -0,0 +1,62 @@
+// Minimal History API router: pages are picked by pathname in App.jsx, and same-origin
+// <a href> clicks to known routes are turned into pushState navigations.
+
+import { safeDecode } from "./safeDecode";
+
+const NAVIGATE_EVENT = "predictpix:navigate";
+
+export function normalizePath(pathname) {
+  return pathname.replace(/\/+$/, "") || "/";
+}
+
+export function subscribe(callback) {
+  window.addEventListener("popstate", callback);
+  window.addEventListener(NAVIGATE_EVENT, callback);
+  return () => {
+    window.removeEventListener("popstate", callback);
+    window.removeEventListener(NAVIGATE_EVENT, callback);
+  };
+}
+
+export function navigate(to, { replace = false } = {}) {
+  const url = new URL(to, window.location.href);
+  if (url.href === window.location.href) {
+    // Re-clicking the current anchor still scrolls to it.
+    scrollToHash(url.hash);
+    return;
+  }
+  window.history[replace ? "replaceState" : "pushState"](null, "", url);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+/** Scrolls to the element `#id` names; returns false when there is none. */
+export function scrollToHash(hash, { smooth = true } = {}) {
+  const raw = hash.replace(/^#/, "");
+  const id = safeDecode(raw) ?? raw;
+  const el = id && document.getElementById(id);
+  if (!el) return false;
+  const reduceMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+  el.scrollIntoView({ behavior: smooth && !reduceMotion ? "smooth" : "auto", block: "start" });
+  // Targets with a tabindex (e.g. <main id="main"> for the skip link) also take keyboard focus.
+  if (el.hasAttribute("tabindex")) el.focus({ preventScroll: true });
+  return true;
+}
+
+/**
+ * Routes plain left-clicks on same-origin links through navigate() when `isRoute(pathname)`
+ * says the client can render them. Anything else (new tabs, downloads, /api/*) is left alone.
+ * Returns a cleanup function.
+ */
+export function interceptLinks(isRoute) {
+  function onClick(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    const a = e.target.closest?.("a[href]");
+    if (!a || (a.target && a.target !== "_self") || a.hasAttribute("download")) return;
+    const url = new URL(a.href, window.location.href);
+    if (url.origin !== window.location.origin || !isRoute(normalizePath(url.pathname))) return;
+    e.preventDefault();
+    navigate(url.href);
+  }
+  document.addEventListener("click", onClick);
+  return () => document.removeEventListener("click", onClick);
+}
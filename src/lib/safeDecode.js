@@ -0,0 +1,14 @@
+// Percent-decoding shared by the browser (src/lib/router.js) and the API (server/router.js,
+// server/session.js). Plain JS, no imports.
+
+/**
+ * `decodeURIComponent`, but null instead of a URIError. A malformed escape like `%E0%A4%A` is the
+ * client's mistake, not a crash: each caller decides what it means (400, skip, or keep it as typed).
+ */
+export function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,14 @@
+import { describe, expect, it } from "vitest";
+import { safeDecode } from "./safeDecode";
+
+describe("safeDecode", () => {
+  it("decodes valid escapes", () => {
+    expect(safeDecode("caf%C3%A9")).toBe("café");
+    expect(safeDecode("")).toBe("");
+  });
+
+  it("returns null for malformed escapes instead of throwing", () => {
+    expect(safeDecode("%E0%A4%A")).toBeNull();
+    expect(safeDecode("%")).toBeNull();
+  });
+});
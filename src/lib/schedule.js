@@ -0,0 +1,43 @@
+// ---------------------
+// Launch schedule helpers (pure, no React)
+// ---------------------
+export const LAUNCH_TIME_ZONE = "America/New_York";
+
+/** Parse and sort the configured phases; each gets a numeric `at` (ms since epoch). */
+export function normalizePhases(raw) {
+  return raw
+    .map((p) => ({ ...p, at: Date.parse(p.startsAt) }))
+    .filter((p) => Number.isFinite(p.at))
+    .sort((a, b) => a.at - b.at);
+}
+
+/** The phase in effect at `now` (null before the first one) and the one after it. */
+export function phaseAt(phases, now) {
+  let i = -1;
+  while (i + 1 < phases.length && phases[i + 1].at <= now) i++;
+  return { current: phases[i] || null, next: phases[i + 1] || null };
+}
+
+export function countdownParts(ms) {
+  const diff = Math.max(0, ms);
+  return {
+    diff,
+    days: Math.floor(diff / (1000 * 60 * 60 * 24)),
+    hours: Math.floor((diff / (1000 * 60 * 60)) % 24),
+    minutes: Math.floor((diff / (1000 * 60)) % 60),
+    seconds: Math.floor((diff / 1000) % 60),
+  };
+}
+
+/** e.g. "Mon, Sep 15, 12:00 PM EDT"; `local: true` formats in the visitor's own zone instead. */
+export function formatMilestone(at, { local = false, locale } = {}) {
+  return new Intl.DateTimeFormat(locale, {
+    timeZone: local ? undefined : LAUNCH_TIME_ZONE,
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  }).format(at);
+}
@@ -0,0 +1,32 @@
+// Per-route <title>/description (from the `seo.*` locale keys) and structured data.
+// Used by App.jsx on navigation and by scripts/prerender.js at build time.
+
+export const SEO_PAGES = {
+  "/": "home",
+  "/privacy": "privacy",
+  "/terms": "terms",
+  "/influencers": "influencers",
+  "/login": "login",
+  "/admin": "admin",
+};
+
+// Public pages that get prerendered and listed in sitemap.xml.
+export const INDEXABLE_PATHS = ["/", "/influencers", "/privacy", "/terms"];
+
+export function pageMeta(t, pathname) {
+  const key = SEO_PAGES[pathname] || "notFound";
+  return { title: t(`seo.${key}.title`), description: t(`seo.${key}.description`) };
+}
+
+/** schema.org FAQPage for the `faq.items` shown on the landing page. */
+export function faqJsonLd(items) {
+  return {
+    "@context": "https://schema.org",
+    "@type": "FAQPage",
+    mainEntity: items.map(({ q, a }) => ({
+      "@type": "Question",
+      name: q,
+      acceptedAnswer: { "@type": "Answer", text: a },
+    })),
+  };
+}
@@ -0,0 +1,15 @@
+// Referral links and prefilled share intents for the channels in the site footer.
+// Shared links are tagged `utm_source=<channel>&utm_medium=share`, so signups they bring in show
+// up per channel in the admin CSV.
+
+export const referralLink = (code, origin = window.location.origin) => `${origin}/?ref=${code}`;
+
+const tagged = (link, source) => `${link}&${new URLSearchParams({ utm_source: source, utm_medium: "share" })}`;
+
+/** `{ telegram, x }` share URLs for a referral `link` with the localized `text`. */
+export function shareLinks(link, text) {
+  return {
+    telegram: `https://t.me/share/url?${new URLSearchParams({ url: tagged(link, "telegram"), text })}`,
+    x: `https://x.com/intent/post?${new URLSearchParams({ text, url: tagged(link, "x") })}`,
+  };
+}
@@ -0,0 +1,145 @@
+// ---------------------
+// Personal share card: a 1200x630 PNG (the Open Graph size) drawn on a canvas in the browser,
+// with the brand colours, the visitor's referral link and its QR code.
+// ---------------------
+import { BRAND } from "../theme";
+import { encodeQr } from "./qr";
+
+const W = 1200;
+const H = 630;
+const FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+function glowAt(ctx, x, y, radius, color) {
+  const g = ctx.createRadialGradient(x, y, 0, x, y, radius);
+  g.addColorStop(0, `${color}59`);
+  g.addColorStop(1, `${color}00`);
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, W, H);
+}
+
+/** Fill `text` in lines no wider than `maxWidth`; returns the y below the last line. */
+function wrapText(ctx, text, x, y, maxWidth, lineHeight) {
+  let line = "";
+  for (const word of text.split(" ")) {
+    const next = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(next).width > maxWidth) {
+      ctx.fillText(line, x, y);
+      line = word;
+      y += lineHeight;
+    } else {
+      line = next;
+    }
+  }
+  ctx.fillText(line, x, y);
+  return y + lineHeight;
+}
+
+/**
+ * Draw the card onto `canvas`. `title` and `subtitle` are localized; `dir` mirrors the layout for
+ * right-to-left locales (the link itself always reads left to right).
+ */
+export function drawShareCard(canvas, { link, title, subtitle, dir = "ltr" }) {
+  canvas.width = W;
+  canvas.height = H;
+  const ctx = canvas.getContext("2d");
+  const rtl = dir === "rtl";
+  const x = (v) => (rtl ? W - v : v);
+
+  ctx.fillStyle = BRAND.bg;
+  ctx.fillRect(0, 0, W, H);
+  glowAt(ctx, x(160), 90, 520, BRAND.accentPink);
+  glowAt(ctx, x(1100), 600, 460, BRAND.accentCyan);
+  glowAt(ctx, x(700), 660, 380, BRAND.accentOrange);
+
+  const frame = ctx.createLinearGradient(0, 0, W, H);
+  frame.addColorStop(0, BRAND.accentCyan);
+  frame.addColorStop(0.5, BRAND.accentPink);
+  frame.addColorStop(1, BRAND.accentOrange);
+  ctx.strokeStyle = frame;
+  ctx.lineWidth = 4;
+  roundRect(ctx, 28, 28, W - 56, H - 56, 36);
+  ctx.stroke();
+
+  // Logo
+  const mark = ctx.createLinearGradient(x(80), 80, x(136), 136);
+  mark.addColorStop(0, BRAND.accentCyan);
+  mark.addColorStop(1, BRAND.accentPink);
+  ctx.fillStyle = mark;
+  roundRect(ctx, rtl ? W - 136 : 80, 80, 56, 56, 14);
+  ctx.fill();
+  ctx.direction = "ltr";
+  ctx.textBaseline = "middle";
+  ctx.textAlign = "left";
+  ctx.font = `bold 44px ${FONT}`;
+  const predictWidth = ctx.measureText("Predict").width;
+  const wordmark = rtl ? x(156) - predictWidth - ctx.measureText("Pix").width : x(156);
+  ctx.fillStyle = BRAND.text;
+  ctx.fillText("Predict", wordmark, 110);
+  ctx.fillStyle = BRAND.accentOrange;
+  ctx.fillText("Pix", wordmark + predictWidth, 110);
+
+  // Copy
+  ctx.direction = dir;
+  ctx.textAlign = "start";
+  ctx.textBaseline = "alphabetic";
+  ctx.fillStyle = BRAND.text;
+  ctx.font = `bold 60px ${FONT}`;
+  const y = wrapText(ctx, title, x(80), 250, 620, 72);
+  ctx.globalAlpha = 0.75;
+  ctx.font = `32px ${FONT}`;
+  wrapText(ctx, subtitle, x(80), y + 10, 620, 42);
+  ctx.globalAlpha = 1;
+
+  ctx.direction = "ltr";
+  ctx.textAlign = rtl ? "right" : "left";
+  ctx.fillStyle = BRAND.accentCyan;
+  ctx.font = `600 28px ui-monospace, SFMono-Regular, Menlo, monospace`;
+  ctx.fillText(link.replace(/^https?:\/\//, ""), x(80), 540, 640);
+
+  // QR code on white, so any phone camera reads it
+  const qr = encodeQr(link);
+  const box = 340;
+  const left = rtl ? 80 : W - 80 - box;
+  const top = (H - box) / 2;
+  ctx.fillStyle = "#FFFFFF";
+  roundRect(ctx, left, top, box, box, 24);
+  ctx.fill();
+  const cell = Math.floor(box / (qr.size + 8)); // at least the 4-module quiet zone on each side
+  const offset = (box - cell * qr.size) / 2;
+  ctx.fillStyle = BRAND.bg;
+  qr.modules.forEach((row, my) =>
+    row.forEach((dark, mx) => {
+      if (dark) ctx.fillRect(left + offset + mx * cell, top + offset + my * cell, cell, cell);
+    })
+  );
+}
+
+/** Render the card and save it as `filename`. */
+export function downloadShareCard(filename, options) {
+  const canvas = document.createElement("canvas");
+  drawShareCard(canvas, options);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) return reject(new Error("Could not render the share card"));
+      const href = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = href;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(href), 0);
+      resolve();
+    }, "image/png");
+  });
+}
@@ -0,0 +1,18 @@
+// Waitlist anti-abuse pieces shared by the browser (src/lib/antiAbuse.js) and the API
+// (server/abuse.js), so the form and the check can't drift apart. Plain JS, no imports.
+
+/** Name of the hidden form field; people never see it, form-filling bots usually fill it. */
+export const HONEYPOT_FIELD = "website";
+
+/** Number of leading zero bits in a sha256 digest (any byte array). */
+export function leadingZeroBits(digest) {
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
@@ -0,0 +1,47 @@
+// Waitlist signups made without a connection are kept in local storage and sent once the browser
+// is back online. Only one is kept: a newer submission replaces it. The proof-of-work is solved
+// at send time, since challenges expire and can't be fetched offline.
+import { fetchChallenge, solveChallenge } from "./antiAbuse";
+
+export const PENDING_SIGNUP_KEY = "predictpix.pendingSignup";
+
+export function readPendingSignup() {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_SIGNUP_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+/** `payload` is the `/api/subscribe` body without `challenge`/`solution`. */
+export function savePendingSignup(payload) {
+  try {
+    localStorage.setItem(PENDING_SIGNUP_KEY, JSON.stringify(payload));
+  } catch {
+    // storage disabled: the signup only survives until the page is closed
+  }
+}
+
+export function clearPendingSignup() {
+  try {
+    localStorage.removeItem(PENDING_SIGNUP_KEY);
+  } catch {
+    // nothing to clear
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Posts a saved signup with a fresh proof. Rejects while the API can't be reached. */
+export async function sendPendingSignup(payload) {
+  const challenge = await fetchChallenge();
+  const receivedAt = Date.now();
+  const solution = await solveChallenge(challenge);
+  // The form was filled long ago, but the server times submissions from when the challenge was issued.
+  await sleep(Math.max(0, receivedAt + challenge.minSubmitMs - Date.now()));
+  return fetch("/api/subscribe", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...payload, challenge: challenge.challenge, solution }),
+  });
+}
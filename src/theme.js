@@ -0,0 +1,128 @@
+// =====================
+// Theme / Design Tokens
+// =====================
+// THEMES is the only place colours are defined. themeCss() turns it into CSS custom properties
+// (rendered by <ThemeStyles />), COLORS hands components `var(--pp-*)` references, and the
+// Tailwind aliases in index.html (text-fg, bg-inset, text-on-accent) read the same properties.
+
+export const THEMES = {
+  dark: {
+    bg: "#0C0F1C",        // deep slate/indigo
+    card: "#0E1327",      // card interior
+    text: "#FFFFFF",
+    textOnAccent: "#000000",
+    inset: "#000000",     // input wells (used at 30%)
+    borderSoft: "#2A314B",
+    accentPink: "#FF2ECF",
+    accentCyan: "#00F5FF",
+    accentOrange: "#FF7A1C",
+    accentAmber: "#FFC170",
+    danger: "#FFB4B4",
+    success: "#C6FFD0",
+  },
+  light: {
+    bg: "#F6F7FB",
+    card: "#FFFFFF",
+    text: "#0C0F1C",
+    textOnAccent: "#FFFFFF",
+    inset: "#C9CFE0",
+    borderSoft: "#D5D9E6",
+    accentPink: "#C2128F",
+    accentCyan: "#007A8F",
+    accentOrange: "#C24E00",
+    accentAmber: "#E08A1E",
+    danger: "#B42318",
+    success: "#067647",
+  },
+  contrast: {
+    bg: "#000000",
+    card: "#000000",
+    text: "#FFFFFF",
+    textOnAccent: "#000000",
+    inset: "#000000",
+    borderSoft: "#FFFFFF",
+    accentPink: "#FF7AE6",
+    accentCyan: "#00FFFF",
+    accentOrange: "#FFB000",
+    accentAmber: "#FFD37A",
+    danger: "#FF9E9E",
+    success: "#8CFF9E",
+  },
+};
+
+export const THEME_NAMES = Object.keys(THEMES);
+export const DEFAULT_THEME = "dark";
+export const THEME_STORAGE_KEY = "predictpix.theme";
+
+/** Raw hex values of the default theme, for places that can't use CSS (e.g. the OG image). */
+export const BRAND = THEMES[DEFAULT_THEME];
+
+const cssName = (token) => `--pp-${token.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+
+export const COLORS = Object.fromEntries(Object.keys(BRAND).map((token) => [token, `var(${cssName(token)})`]));
+
+/** `color` at `percent`% opacity; works with var() references. */
+export const alpha = (color, percent) => `color-mix(in srgb, ${color} ${percent}%, transparent)`;
+
+function declarations(name) {
+  const rgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16)).join(" ");
+  const vars = Object.entries(THEMES[name]).flatMap(([token, hex]) => [
+    `${cssName(token)}:${hex}`,
+    `${cssName(token)}-rgb:${rgb(hex)}`,
+  ]);
+  return [`color-scheme:${name === "light" ? "light" : "dark"}`, ...vars].join(";");
+}
+
+/**
+ * Custom properties for every theme. An explicit `data-theme` on <html> wins; otherwise the OS
+ * preference picks light or high-contrast. `scope(condition)` and `attr` retarget the selectors,
+ * e.g. to `:host([theme])` inside the widget's shadow root.
+ */
+export function themeCss({ scope = (condition = "") => `:root${condition}`, attr = "data-theme" } = {}) {
+  return [
+    `${scope()}{${declarations(DEFAULT_THEME)}}`,
+    `@media (prefers-color-scheme: light){${scope(`:not([${attr}])`)}{${declarations("light")}}}`,
+    `@media (prefers-contrast: more){${scope(`:not([${attr}])`)}{${declarations("contrast")}}}`,
+    ...THEME_NAMES.map((name) => `${scope(`[${attr}="${name}"]`)}{${declarations(name)}}`),
+  ].join("\n");
+}
+
+// ---------------------
+// Gradient / glow variants
+// ---------------------
+// `from`/`to`/`glow` accept token names ("accentPink") or any CSS colour, so co-branded pages can
+// register their own: registerVariant("partner", { from: "#123456", to: "accentCyan" }).
+const VARIANTS = new Map();
+
+const resolve = (color) => (color in COLORS ? COLORS[color] : color);
+
+export function registerVariant(name, { from, to, glow = to, glowStrength = 22, ring = 0 }) {
+  VARIANTS.set(name, { from: resolve(from), to: resolve(to), glow: resolve(glow), glowStrength, ring });
+}
+
+export function getVariant(name) {
+  return VARIANTS.get(name) || VARIANTS.get("pink");
+}
+
+export const variantNames = () => [...VARIANTS.keys()];
+
+export function gradient(name, angle = 135) {
+  const v = getVariant(name);
+  return `linear-gradient(${angle}deg, ${v.from} 0%, ${v.to} 100%)`;
+}
+
+export function glow(name, size = 36) {
+  const v = getVariant(name);
+  const shadow = `0 0 ${size}px ${alpha(v.glow, v.glowStrength)}`;
+  return v.ring ? `0 0 0 1px ${alpha(v.glow, v.ring)}, ${shadow}` : shadow;
+}
+
+registerVariant("pink", { from: "accentCyan", to: "accentPink" });
+registerVariant("orange", { from: "accentPink", to: "accentOrange", glowStrength: 20 });
+registerVariant("ember", {
+  from: alpha(COLORS.accentOrange, 33),
+  to: alpha(COLORS.accentAmber, 67),
+  glow: "accentOrange",
+  glowStrength: 25,
+  ring: 25,
+});
@@ -0,0 +1,157 @@
+import React, { useState } from "react";
+import useLaunchSchedule from "../hooks/useLaunchSchedule";
+import useServerClockOffset from "../hooks/useServerClock";
+import useSignupGuard from "../hooks/useSignupGuard";
+import { HONEYPOT_FIELD } from "../lib/antiAbuse";
+import { errorMessage, fieldA11y } from "../lib/formErrors";
+import { formatDuration } from "../lib/format";
+import LAUNCH_PHASES from "../config/launch-phases.json";
+import { gradient } from "../theme";
+import { useI18n } from "../i18n/context";
+import HaloBox from "../components/HaloBox";
+import FormMessage from "../components/FormMessage";
+
+const ERROR_FIELDS = { invalid_email: "pp-email", disposable_email: "pp-email", already_subscribed: "pp-email" };
+
+function Countdown({ next, days, hours, minutes, seconds }) {
+  const { t, tm, locale } = useI18n();
+  const phaseLabel = (p) => (tm(`phases.${p.id}`) ? t(`phases.${p.id}`) : p.label);
+  const two = new Intl.NumberFormat(locale, { minimumIntegerDigits: 2 });
+
+  if (!next) return null;
+  const time = formatDuration(days > 0 ? { day: days, hour: hours } : { hour: hours, minute: minutes }, locale);
+  return (
+    <div>
+      <p className="muted" aria-hidden="true">{t("hero.startsIn", { phase: phaseLabel(next) })}</p>
+      <p className="sr-only" aria-live="polite" aria-atomic="true">
+        {time ? t("countdown.summary", { phase: phaseLabel(next), time }) : t("countdown.soon", { phase: phaseLabel(next) })}
+      </p>
+      <div className="countdown" aria-hidden="true">
+        {[
+          [days, "days"],
+          [hours, "hours"],
+          [minutes, "minutes"],
+          [seconds, "seconds"],
+        ].map(([n, unit]) => (
+          <div key={unit} className="time">
+            <b>{two.format(n)}</b>
+            <span>{t(`countdown.${unit}`)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Countdown + waitlist signup for partner sites, rendered by <predictpix-waitlist> (./main.jsx);
+ * once launched it links to the app instead. `apiBase` is the PredictPix origin every request
+ * and link goes to.
+ */
+export default function Widget({ refCode, variant, apiBase }) {
+  const { t, tm, rich } = useI18n();
+  const clockOffset = useServerClockOffset(`${apiBase}/api/time`);
+  const schedule = useLaunchSchedule(LAUNCH_PHASES, { clockOffset });
+  const refQuery = refCode ? `?ref=${encodeURIComponent(refCode)}` : "";
+  const guard = useSignupGuard({ apiBase });
+  const [email, setEmail] = useState("");
+  const [honeypot, setHoneypot] = useState("");
+  const [message, setMessage] = useState(null);
+  const [code, setCode] = useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    setMessage(null);
+    try {
+      const proof = await guard.proof();
+      const res = await fetch(`${apiBase}/api/subscribe`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          email,
+          ref: refCode,
+          // Credits the embedding site in the admin CSV.
+          utm: { source: "widget", medium: "embed", content: window.location.hostname },
+          [HONEYPOT_FIELD]: honeypot,
+          ...proof,
+        }),
+      });
+      const body = await res.json().catch(() => null);
+      if (res.ok) {
+        setCode(body.code);
+        setMessage({ type: "success", text: t("messages.success") });
+        setEmail("");
+      } else {
+        const reason = (body?.error && tm(`errors.${body.error}`)) || body?.message || res.status;
+        setMessage(errorMessage(t("messages.failed", { reason }), body?.error, ERROR_FIELDS));
+      }
+    } catch (err) {
+      const reason = err.code && tm(`errors.${err.code}`);
+      setMessage(errorMessage(reason ? t("messages.failed", { reason }) : t("messages.network"), err.code));
+    } finally {
+      guard.reset();
+    }
+  }
+
+  return (
+    <HaloBox variant={variant} className="card">
+      <h2>{t("waitlist.title")}</h2>
+      {schedule.current?.live ? (
+        <>
+          <p>{t("hero.live")}</p>
+          <a className="button" href={`${apiBase}/app${refQuery}`} target="_blank" rel="noreferrer" style={{ background: gradient(variant, 30) }}>
+            {t("hero.openApp")}
+          </a>
+        </>
+      ) : (
+        <Countdown {...schedule} />
+      )}
+
+      {!code && !schedule.current?.live && (
+        <form onSubmit={submit} onFocus={guard.arm}>
+          <label htmlFor="pp-email">{t("waitlist.emailLabel")}</label>
+          <input
+            id="pp-email"
+            type="email"
+            dir="ltr"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder={t("waitlist.emailPlaceholder")}
+            {...fieldA11y("pp-email", message, "pp-message")}
+          />
+          <div className="honeypot" aria-hidden="true">
+            <input name={HONEYPOT_FIELD} type="text" tabIndex={-1} autoComplete="off" value={honeypot} onChange={(e) => setHoneypot(e.target.value)} />
+          </div>
+          <div className="consent">
+            <input id="pp-consent" type="checkbox" required />
+            <label htmlFor="pp-consent">
+              {rich("waitlist.consent", {
+                privacy: (
+                  <a href={`${apiBase}/privacy`} target="_blank" rel="noreferrer">
+                    {t("waitlist.privacyPolicy")}
+                  </a>
+                ),
+              })}
+            </label>
+          </div>
+          <button className="button" style={{ background: gradient(variant, 30) }}>
+            {t("waitlist.submit")}
+          </button>
+        </form>
+      )}
+
+      <FormMessage id="pp-message" message={message} className="message" />
+      {code && (
+        <p className="muted">
+          {t("referral.linkLabel")}{" "}
+          <a href={`${apiBase}/?ref=${code}`} target="_blank" rel="noreferrer" dir="ltr">{`${apiBase}/?ref=${code}`}</a>
+        </p>
+      )}
+
+      <a className="brand" href={`${apiBase}/${refQuery}`} target="_blank" rel="noreferrer">
+        PredictPix →
+      </a>
+    </HaloBox>
+  );
+}
@@ -0,0 +1,57 @@
+import React from "react";
+import { createRoot } from "react-dom/client";
+import { I18nContext } from "../i18n/context";
+import { createTranslator, detectLocale, matchLocale } from "../i18n/i18n";
+import { variantNames } from "../theme";
+import Widget from "./Widget";
+import { WIDGET_CSS } from "./styles";
+
+// ---------------------
+// <predictpix-waitlist> custom element, built to dist/widget.js (vite.widget.config.js).
+//   <script src="https://predictpix.com/widget.js" async></script>
+//   <predictpix-waitlist ref="yourcode" variant="orange" locale="es" theme="light"></predictpix-waitlist>
+// `api` overrides the PredictPix origin, which defaults to wherever this script was loaded from.
+// ---------------------
+const SCRIPT_ORIGIN = document.currentScript ? new URL(document.currentScript.src).origin : window.location.origin;
+
+class PredictPixWaitlist extends HTMLElement {
+  static observedAttributes = ["ref", "variant", "locale", "theme", "api"];
+
+  connectedCallback() {
+    if (!this.shadowRoot) {
+      const shadow = this.attachShadow({ mode: "open" });
+      const style = document.createElement("style");
+      style.textContent = WIDGET_CSS;
+      this.mount = document.createElement("div");
+      shadow.append(style, this.mount);
+    }
+    this.root ||= createRoot(this.mount);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    this.root?.unmount();
+    this.root = null;
+  }
+
+  attributeChangedCallback() {
+    if (this.root) this.render();
+  }
+
+  render() {
+    // The host page's ?lang= and saved choices belong to another site; only its browser languages count.
+    const locale = matchLocale(this.getAttribute("locale")) || detectLocale({ search: "", stored: null });
+    const i18n = { ...createTranslator(locale), setLocale: () => {} };
+    const variant = variantNames().includes(this.getAttribute("variant")) ? this.getAttribute("variant") : "pink";
+    const apiBase = (this.getAttribute("api") || SCRIPT_ORIGIN).replace(/\/$/, "");
+    this.mount.lang = i18n.locale;
+    this.mount.dir = i18n.dir;
+    this.root.render(
+      <I18nContext.Provider value={i18n}>
+        <Widget refCode={this.getAttribute("ref") || ""} variant={variant} apiBase={apiBase} />
+      </I18nContext.Provider>
+    );
+  }
+}
+
+if (!customElements.get("predictpix-waitlist")) customElements.define("predictpix-waitlist", PredictPixWaitlist);
@@ -0,0 +1,31 @@
+import { themeCss } from "../theme";
+
+// The widget renders inside a shadow root, so none of the page's (or Tailwind's) CSS reaches it.
+// Theme variables come from the same tokens as the site, scoped to the host element.
+export const WIDGET_CSS = `
+${themeCss({ scope: (condition = "") => (condition ? `:host(${condition})` : ":host"), attr: "theme" })}
+:host{display:block;max-width:420px;font:15px/1.5 system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;color:var(--pp-text);text-align:start}
+:host([hidden]){display:none}
+*{box-sizing:border-box}
+.card{border-radius:20px;padding:20px;display:grid;gap:14px}
+h2{margin:0;font-size:20px;line-height:1.25}
+p{margin:0}
+.muted{opacity:.7;font-size:13px}
+.countdown{display:flex;gap:10px}
+.time{display:flex;flex-direction:column;align-items:center;flex:1}
+.time b{display:block;width:100%;text-align:center;font-size:24px;font-variant-numeric:tabular-nums;padding:6px 0;border-radius:12px;background:rgb(var(--pp-inset-rgb)/.3);border:1px solid var(--pp-border-soft)}
+.time span{font-size:10px;letter-spacing:.12em;text-transform:uppercase;opacity:.7;margin-top:4px}
+form{display:grid;gap:10px}
+label{font-size:13px}
+input[type=email]{width:100%;font:inherit;color:inherit;padding:10px 12px;border-radius:12px;border:1px solid var(--pp-border-soft);background:rgb(var(--pp-inset-rgb)/.3)}
+input:focus-visible,button:focus-visible,a:focus-visible{outline:2px solid var(--pp-accent-cyan);outline-offset:2px}
+.consent{display:flex;gap:8px;align-items:flex-start;font-size:12px;opacity:.8}
+.consent input{margin-top:3px}
+a{color:inherit}
+.button{font:inherit;font-weight:600;border:0;border-radius:14px;padding:10px 16px;cursor:pointer;text-decoration:none;text-align:center;color:var(--pp-text-on-accent)}
+.message{display:flex;gap:6px;font-size:13px}
+.message:focus{outline:none}
+.honeypot{position:absolute;left:-10000px;width:1px;height:1px;overflow:hidden}
+.sr-only{position:absolute;width:1px;height:1px;padding:0;margin:-1px;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0}
+.brand{font-size:12px;opacity:.6;text-decoration:none}
+`;
@@ -1,7 +1,11 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import predictPixApi from './server/vite-plugin.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), predictPixApi()],
+  // The API sets its own CORS headers for the widget endpoints (server/cors.js).
+  server: { cors: false },
+  preview: { cors: false },
 })
@@ -0,0 +1,20 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// Embeddable waitlist widget: a single self-contained script at dist/widget.js.
+// Runs after the site build, so it must not empty dist/.
+export default defineConfig({
+  plugins: [react()],
+  define: { 'process.env.NODE_ENV': JSON.stringify('production') },
+  publicDir: false,
+  build: {
+    outDir: 'dist',
+    emptyOutDir: false,
+    lib: {
+      entry: 'src/widget/main.jsx',
+      name: 'PredictPixWidget',
+      formats: ['iife'],
+      fileName: () => 'widget.js',
+    },
+  },
+})
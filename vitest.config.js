@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config'
+import react from '@vitejs/plugin-react'
+
+// Separate from vite.config.js so tests don't mount the API middleware.
+export default defineConfig({
+  plugins: [react()],
+  test: {
+    include: ['src/**/*.test.{js,jsx}', 'server/**/*.test.js'],
+  },
+})